@@ -0,0 +1,71 @@
+'use strict';
+/** Decide which remote stations may connect. */
+
+const guts = require('./guts.js');
+
+const MaxSSID = 15;
+
+function parseSSID(text, pattern) {
+    const ssid = parseInt(text);
+    if (!/^\d+$/.test(text) || ssid > MaxSSID) {
+        throw guts.newRangeError(`The SSID in "${pattern}" isn't 0..${MaxSSID}.`);
+    }
+    return ssid;
+}
+
+/** Parse an entry in an access list, which is a call sign pattern
+    or an object like {call: pattern, port: 0} or {call: pattern, port: [0, 1]}.
+    In a pattern, * matches any characters and ? matches one character.
+    A pattern may end with an SSID (e.g. 'N0CALL-7'), a range of SSIDs
+    ('N0CALL-1..5') or any SSID ('N0CALL-*'). A pattern without an SSID
+    matches any SSID.
+*/
+function parseEntry(entry) {
+    const pattern = ((typeof entry) == 'object' && entry) ? entry.call : entry;
+    if ((typeof pattern) != 'string' || !pattern) {
+        throw guts.newTypeError(`The access list entry ${JSON.stringify(entry)} has no call sign.`);
+    }
+    const parts = pattern.toUpperCase().split('-');
+    if (parts.length > 2 || !/^[A-Z0-9*?]+$/.test(parts[0])) {
+        throw guts.newRangeError(`"${pattern}" isn't a call sign pattern.`);
+    }
+    const result = {
+        call: new RegExp('^' + parts[0].replace(/\*/g, '.*').replace(/\?/g, '.') + '$'),
+        minSSID: 0,
+        maxSSID: MaxSSID,
+    };
+    if (parts.length > 1 && parts[1] != '*') {
+        const range = parts[1].split('..');
+        if (range.length > 2) {
+            throw guts.newRangeError(`"${pattern}" has a strange SSID.`);
+        }
+        result.minSSID = parseSSID(range[0], pattern);
+        result.maxSSID = parseSSID(range[range.length - 1], pattern);
+    }
+    if ((typeof entry) == 'object' && entry.port != null) {
+        result.ports = [].concat(entry.port).map(guts.validatePort);
+    }
+    return result;
+}
+
+/** A list of call sign patterns, which may be limited to some TNC ports. */
+class AccessList {
+
+    constructor(entries) {
+        this.entries = [].concat(entries || []).map(parseEntry);
+    }
+
+    /** Return true if a call sign on the given port matches any entry. */
+    matches(port, call) {
+        const parts = (call || '').toUpperCase().split('-');
+        const ssid = (parts.length > 1) ? parseInt(parts[1]) : 0;
+        return this.entries.some(function(entry) {
+            return entry.call.test(parts[0])
+                && ssid >= entry.minSSID
+                && ssid <= entry.maxSSID
+                && (!entry.ports || entry.ports.indexOf(port) >= 0);
+        });
+    }
+} // AccessList
+
+exports.AccessList = AccessList;
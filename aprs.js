@@ -0,0 +1,610 @@
+'use strict';
+/** Parse and format APRS data, in the information field of UI packets.
+    The formats are described in the APRS Protocol Reference, version 1.0.1.
+*/
+
+const guts = require('./guts.js');
+
+const DefaultDestination = 'APRS';
+const MicEMessages = [
+    'Emergency', 'Priority', 'Special', 'Committed',
+    'Returning', 'In Service', 'En Route', 'Off Duty',
+];
+const WeatherFields = [
+    // APRS units: degrees, mph, degrees Fahrenheit, 1/100 inch, percent, 1/10 millibar
+    {key: 'c', name: 'windDirection', width: 3},
+    {key: 's', name: 'windSpeed', width: 3},
+    {key: 'g', name: 'windGust', width: 3},
+    {key: 't', name: 'temperature', width: 3},
+    {key: 'r', name: 'rain1h', width: 3},
+    {key: 'p', name: 'rain24h', width: 3},
+    {key: 'P', name: 'rainSinceMidnight', width: 3},
+    {key: 'h', name: 'humidity', width: 2},
+    {key: 'b', name: 'pressure', width: 5, scale: 10},
+];
+
+function newFormatError(message) {
+    return guts.newError(message, 'ERR_INVALID_ARG_VALUE');
+}
+
+function fromBase91(s) {
+    var n = 0;
+    for (var c = 0; c < s.length; ++c) {
+        n = (n * 91) + (s.charCodeAt(c) - 33);
+    }
+    return n;
+}
+
+function toBase91(n, length) {
+    var s = '';
+    for (var c = 0; c < length; ++c) {
+        s = String.fromCharCode(33 + (n % 91)) + s;
+        n = Math.floor(n / 91);
+    }
+    return s;
+}
+
+/** Format a non-negative integer with leading zeros. */
+function pad(n, width) {
+    var s = '' + Math.round(n);
+    while (s.length < width) s = '0' + s;
+    return s;
+}
+
+function parseTimestamp(s) {
+    var match = /^(\d\d)(\d\d)(\d\d)([z\/h])$/.exec(s);
+    if (!match) throw newFormatError(`timestamp "${s}"`);
+    const a = parseInt(match[1]);
+    const b = parseInt(match[2]);
+    const c = parseInt(match[3]);
+    switch(match[4]) {
+    case 'z':
+        return {day: a, hour: b, minute: c, zulu: true};
+    case '/':
+        return {day: a, hour: b, minute: c};
+    default: // 'h'
+        return {hour: a, minute: b, second: c, zulu: true};
+    }
+}
+
+function formatTimestamp(t) {
+    if (t instanceof Date) {
+        return pad(t.getUTCDate(), 2) + pad(t.getUTCHours(), 2) + pad(t.getUTCMinutes(), 2) + 'z';
+    } else if (t.second != null) {
+        return pad(t.hour, 2) + pad(t.minute, 2) + pad(t.second, 2) + 'h';
+    } else {
+        return pad(t.day, 2) + pad(t.hour, 2) + pad(t.minute, 2) + (t.zulu ? 'z' : '/');
+    }
+}
+
+/** Parse DDMM.hhN or DDDMM.hhW. Spaces in place of digits indicate ambiguity. */
+function parseDegrees(s, degreeDigits, hemispheres) {
+    const ambiguity = (s.match(/ /g) || []).length;
+    const match = new RegExp(`^(\\d{${degreeDigits}})(\\d\\d)\\.(\\d\\d)([${hemispheres}])$`)
+          .exec(s.replace(/ /g, '0'));
+    if (!match) throw newFormatError(`position "${s}"`);
+    const degrees = parseInt(match[1]) + (parseFloat(match[2] + '.' + match[3]) / 60);
+    return {
+        value: (match[4] == hemispheres[0]) ? degrees : -degrees,
+        ambiguity: ambiguity,
+    };
+}
+
+function formatDegrees(value, degreeDigits, hemispheres) {
+    const hemisphere = (value >= 0) ? hemispheres[0] : hemispheres[1];
+    var hundredths = Math.round(Math.abs(value) * 60 * 100); // of a minute
+    const degrees = Math.floor(hundredths / 6000);
+    hundredths -= degrees * 6000;
+    return pad(degrees, degreeDigits)
+        + pad(Math.floor(hundredths / 100), 2) + '.' + pad(hundredths % 100, 2)
+        + hemisphere;
+}
+
+/** Parse a position, and any data extension or altitude that follows it. */
+function parsePosition(info, into) {
+    var comment;
+    if (/^[0-9 ]/.test(info)) { // uncompressed
+        if (info.length < 19) throw newFormatError(`position "${info}"`);
+        const latitude = parseDegrees(info.substring(0, 8), 2, 'NS');
+        into.latitude = latitude.value;
+        into.symbolTable = info.charAt(8);
+        into.longitude = parseDegrees(info.substring(9, 18), 3, 'EW').value;
+        into.symbolCode = info.charAt(18);
+        if (latitude.ambiguity) into.ambiguity = latitude.ambiguity;
+        comment = info.substring(19);
+        const courseSpeed = /^(\d{3})\/(\d{3})/.exec(comment);
+        if (courseSpeed) {
+            into.course = parseInt(courseSpeed[1]);
+            into.speed = parseInt(courseSpeed[2]); // knots
+            comment = comment.substring(7);
+        }
+    } else { // compressed
+        if (info.length < 13) throw newFormatError(`compressed position "${info}"`);
+        into.compressed = true;
+        into.symbolTable = info.charAt(0);
+        into.latitude = 90 - (fromBase91(info.substring(1, 5)) / 380926);
+        into.longitude = -180 + (fromBase91(info.substring(5, 9)) / 190463);
+        into.symbolCode = info.charAt(9);
+        const c = info.charCodeAt(10) - 33;
+        const s = info.charCodeAt(11) - 33;
+        const T = info.charCodeAt(12) - 33;
+        if (c >= 0 && c <= 89) {
+            if ((T & 0x18) == 0x10) { // altitude, from a GGA sentence
+                into.altitude = Math.round(Math.pow(1.002, (c * 91) + s)); // feet
+            } else {
+                into.course = c * 4;
+                into.speed = Math.round(Math.pow(1.08, s) - 1); // knots
+            }
+        }
+        comment = info.substring(13);
+    }
+    const altitude = /\/A=(-?\d{5,6})/.exec(comment);
+    if (altitude) {
+        into.altitude = parseInt(altitude[1]); // feet
+        comment = comment.substring(0, altitude.index)
+            + comment.substring(altitude.index + altitude[0].length);
+    }
+    if (into.symbolCode == '_') { // weather station
+        into.type = 'weather';
+        into.weather = {};
+        if (into.course != null) {
+            into.weather.windDirection = into.course;
+            into.weather.windSpeed = into.speed; // mph
+            delete into.course;
+            delete into.speed;
+        } else if (/^[\d. ]{3}\/[\d. ]{3}/.test(comment)) { // unknown wind
+            comment = comment.substring(7);
+        }
+        comment = parseWeather(comment, into.weather);
+    }
+    if (comment) into.comment = comment;
+    return into;
+}
+
+function formatPosition(data) {
+    var info;
+    if (data.compressed) {
+        info = data.symbolTable
+            + toBase91(Math.round(380926 * (90 - data.latitude)), 4)
+            + toBase91(Math.round(190463 * (180 + data.longitude)), 4)
+            + data.symbolCode;
+        if (data.course != null && data.speed != null) {
+            info += String.fromCharCode(33 + Math.round((data.course % 360) / 4))
+                + String.fromCharCode(33 + Math.round(Math.log(data.speed + 1) / Math.log(1.08)))
+                + String.fromCharCode(33 + 0x38); // current GPS fix, from an RMC sentence
+        } else if (data.altitude != null) {
+            const cs = Math.round(Math.log(Math.max(data.altitude, 1)) / Math.log(1.002));
+            info += toBase91(cs, 2) + String.fromCharCode(33 + 0x30); // from a GGA sentence
+        } else {
+            info += '  ' + String.fromCharCode(33 + 0x20);
+        }
+    } else {
+        var latitude = formatDegrees(data.latitude, 2, 'NS');
+        for (var a = 0; a < (data.ambiguity || 0); ++a) {
+            const c = [6, 5, 3, 2][a];
+            latitude = latitude.substring(0, c) + ' ' + latitude.substring(c + 1);
+        }
+        info = latitude + data.symbolTable
+            + formatDegrees(data.longitude, 3, 'EW') + data.symbolCode;
+        if (data.course != null && data.speed != null) {
+            info += pad(data.course, 3) + '/' + pad(data.speed, 3);
+        }
+    }
+    if (data.altitude != null && !(data.compressed && data.course == null)) {
+        info += '/A=' + ((data.altitude < 0) ? '-' + pad(-data.altitude, 5) : pad(data.altitude, 6));
+    }
+    return info;
+}
+
+/** Format a position, any weather data and comment. */
+function formatPositionReport(data) {
+    if (!data.weather) {
+        return formatPosition(data) + (data.comment || '');
+    }
+    const weather = data.weather;
+    return formatPosition(Object.assign({}, data, {
+        symbolCode: '_',
+        course: undefined,
+        speed: undefined,
+        altitude: undefined,
+        compressed: false,
+    }))
+        + ((weather.windDirection != null) ? pad(weather.windDirection, 3) : '...')
+        + '/' + ((weather.windSpeed != null) ? pad(weather.windSpeed, 3) : '...')
+        + formatWeather(weather, false)
+        + ((data.altitude != null) ? '/A=' + pad(data.altitude, 6) : '')
+        + (data.comment || '');
+}
+
+/** Parse weather data. Return whatever follows them. */
+function parseWeather(s, into) {
+    var next = 0;
+    while (next < s.length) {
+        const key = s.charAt(next);
+        var field = null;
+        WeatherFields.forEach(function(f) {
+            if (f.key == key && into[f.name] === undefined && !field) field = f;
+        });
+        if (!field) break;
+        const value = s.substring(next + 1, next + 1 + field.width);
+        if (value.length < field.width) break;
+        if (/^[. ]+$/.test(value)) {
+            into[field.name] = null; // unknown
+        } else if (/^-?\d+$/.test(value)) {
+            into[field.name] = parseInt(value) / (field.scale || 1);
+            if (field.name == 'humidity' && into.humidity == 0) into.humidity = 100;
+        } else {
+            break;
+        }
+        next += 1 + field.width;
+    }
+    for (const name in into) {
+        if (into[name] === null) delete into[name];
+    }
+    return s.substring(next);
+}
+
+function formatWeather(weather, positionless) {
+    var s = '';
+    WeatherFields.forEach(function(field) {
+        var value = weather[field.name];
+        if (!positionless && (field.key == 'c' || field.key == 's')) {
+            return; // These are formatted like course and speed.
+        }
+        if (value == null) {
+            if (field.key == 'c' || field.key == 's' || field.key == 'g' || field.key == 't') {
+                s += field.key + '...'; // required
+            }
+            return;
+        }
+        value = Math.round(value * (field.scale || 1));
+        if (field.name == 'humidity' && value >= 100) value = 0;
+        s += field.key + ((value < 0) ? '-' + pad(-value, field.width - 1) : pad(value, field.width));
+    });
+    return s;
+}
+
+function parseMicE(packet, info, into) {
+    const destination = packet.toAddress.split('-')[0];
+    if (destination.length != 6 || info.length < 9) {
+        throw newFormatError(`Mic-E destination ${packet.toAddress}`);
+    }
+    var latitude = '';
+    var message = 0;
+    var custom = false;
+    const flags = [];
+    for (var d = 0; d < 6; ++d) {
+        const c = destination.charAt(d);
+        var flag;
+        if (c >= '0' && c <= '9') {
+            latitude += c; flag = 0;
+        } else if (c >= 'A' && c <= 'J') {
+            latitude += String.fromCharCode(c.charCodeAt(0) - 17); flag = 1; custom = true;
+        } else if (c >= 'P' && c <= 'Y') {
+            latitude += String.fromCharCode(c.charCodeAt(0) - 32); flag = 1;
+        } else if (c == 'K' || c == 'Z') {
+            latitude += ' '; flag = 1; if (c == 'K') custom = true;
+        } else if (c == 'L') {
+            latitude += ' '; flag = 0;
+        } else {
+            throw newFormatError(`Mic-E destination ${packet.toAddress}`);
+        }
+        flags.push(flag);
+    }
+    message = (flags[0] << 2) | (flags[1] << 1) | flags[2];
+    const parsed = parseDegrees(
+        latitude.substring(0, 4) + '.' + latitude.substring(4) + (flags[3] ? 'N' : 'S'),
+        2, 'NS');
+    into.format = 'Mic-E';
+    into.latitude = parsed.value;
+    if (parsed.ambiguity) into.ambiguity = parsed.ambiguity;
+    var degrees = info.charCodeAt(1) - 28 + (flags[4] ? 100 : 0);
+    if (degrees >= 180 && degrees <= 189) degrees -= 80;
+    else if (degrees >= 190 && degrees <= 199) degrees -= 190;
+    var minutes = info.charCodeAt(2) - 28;
+    if (minutes >= 60) minutes -= 60;
+    const hundredths = info.charCodeAt(3) - 28;
+    const longitude = degrees + ((minutes + (hundredths / 100)) / 60);
+    into.longitude = flags[5] ? -longitude : longitude;
+    var speed = ((info.charCodeAt(4) - 28) * 10) + Math.floor((info.charCodeAt(5) - 28) / 10);
+    if (speed >= 800) speed -= 800;
+    var course = (((info.charCodeAt(5) - 28) % 10) * 100) + (info.charCodeAt(6) - 28);
+    if (course >= 400) course -= 400;
+    into.speed = speed; // knots
+    into.course = course;
+    into.symbolCode = info.charAt(7);
+    into.symbolTable = info.charAt(8);
+    into.micE = {
+        message: message == 0 ? 'Emergency'
+            : custom ? 'Custom-' + (7 - message)
+            : MicEMessages[message],
+    };
+    var comment = info.substring(9);
+    if (comment.charAt(3) == '}') {
+        into.altitude = Math.round((fromBase91(comment.substring(0, 3)) - 10000) * 3.28084); // feet
+        comment = comment.substring(4);
+    }
+    if (comment) into.comment = comment;
+    return into;
+}
+
+function formatMicE(data) {
+    const messageName = (data.micE && data.micE.message) || 'Off Duty';
+    const message = MicEMessages.indexOf(messageName);
+    if (message < 0) throw newFormatError(`Mic-E message ${messageName}`);
+    const latitude = formatDegrees(data.latitude, 2, 'NS').replace('.', '');
+    const longitude = Math.round(Math.abs(data.longitude) * 6000); // hundredths of a minute
+    const degrees = Math.floor(longitude / 6000);
+    const minutes = Math.floor((longitude % 6000) / 100);
+    const hundredths = longitude % 100;
+    const lonOffset = (degrees < 10 || degrees >= 100);
+    const flags = [
+        (message >> 2) & 1, (message >> 1) & 1, message & 1,
+        data.latitude >= 0, lonOffset, data.longitude < 0,
+    ];
+    var destination = '';
+    for (var d = 0; d < 6; ++d) {
+        destination += String.fromCharCode(
+            latitude.charCodeAt(d) + (flags[d] ? 32 : 0)); // 'P'..'Y' or '0'..'9'
+    }
+    var d28 = (degrees <= 9) ? degrees + 90
+        : (degrees <= 99) ? degrees
+        : (degrees <= 109) ? degrees - 20
+        : degrees - 100;
+    const speed = Math.min(Math.round(data.speed || 0), 799);
+    const course = Math.round(data.course || 0) % 360;
+    var SP = Math.floor(speed / 10);
+    if (SP < 20) SP += 80; // Avoid unprintable characters.
+    const DC = ((speed % 10) * 10) + Math.floor(course / 100) + 4;
+    var info = '`'
+        + String.fromCharCode(d28 + 28)
+        + String.fromCharCode(((minutes < 10) ? minutes + 60 : minutes) + 28)
+        + String.fromCharCode(hundredths + 28)
+        + String.fromCharCode(SP + 28)
+        + String.fromCharCode(DC + 28)
+        + String.fromCharCode((course % 100) + 28)
+        + data.symbolCode + data.symbolTable;
+    if (data.altitude != null) {
+        info += toBase91(Math.max(0, Math.round((data.altitude / 3.28084) + 10000)), 3) + '}';
+    }
+    return {toAddress: destination, info: info + (data.comment || '')};
+}
+
+function parseMessage(info, into) {
+    const match = /^:(.{9}):(.*)$/.exec(info);
+    if (!match) throw newFormatError(`message "${info}"`);
+    into.addressee = match[1].trim();
+    const text = match[2];
+    const ackRej = /^(ack|rej)([A-Za-z0-9]{1,5})(}[A-Za-z0-9]{0,5})?\s*$/.exec(text);
+    if (ackRej) {
+        into.type = ackRej[1];
+        into.id = ackRej[2];
+        return into;
+    }
+    into.type = 'message';
+    const brace = text.lastIndexOf('{');
+    const id = (brace >= 0)
+          && /^([A-Za-z0-9]{1,5})(}([A-Za-z0-9]{0,5}))?$/.exec(text.substring(brace + 1));
+    if (id) {
+        into.text = text.substring(0, brace);
+        into.id = id[1];
+        if (id[2]) { // reply-ack format
+            into.replyAckCapable = true;
+            if (id[3]) into.replyAck = id[3];
+        }
+    } else {
+        into.text = text;
+    }
+    return into;
+}
+
+function formatMessage(data) {
+    var addressee = data.addressee || '';
+    if (addressee.length > 9) throw newFormatError(`addressee ${addressee} is too long`);
+    while (addressee.length < 9) addressee += ' ';
+    var info = ':' + addressee + ':';
+    switch(data.type) {
+    case 'ack':
+    case 'rej':
+        return info + data.type + data.id;
+    default:
+        info += data.text || '';
+        if (data.id != null) {
+            info += '{' + data.id;
+            if (data.replyAck != null) {
+                info += '}' + data.replyAck;
+            } else if (data.replyAckCapable) {
+                info += '}';
+            }
+        }
+        return info;
+    }
+}
+
+function parseTelemetry(info, into) {
+    const match = /^T#([^,]{1,3}),(.*)$/.exec(info);
+    if (!match) throw newFormatError(`telemetry "${info}"`);
+    into.sequence = /^\d+$/.test(match[1]) ? parseInt(match[1]) : match[1];
+    const fields = match[2].split(',');
+    into.analog = fields.slice(0, 5).map(function(f) {
+        return parseFloat(f);
+    });
+    const rest = fields.slice(5).join(',');
+    const bits = /^([01]{8})(.*)$/.exec(rest);
+    if (bits) {
+        into.digital = bits[1].split('').map(function(b) {
+            return b == '1';
+        });
+        if (bits[2]) into.comment = bits[2];
+    } else if (rest) {
+        into.comment = rest;
+    }
+    return into;
+}
+
+function formatTelemetry(data) {
+    return 'T#'
+        + (((typeof data.sequence) == 'number') ? pad(data.sequence % 1000, 3) : data.sequence)
+        + ',' + (data.analog || []).map(function(value) {
+            return Number.isInteger(value) ? pad(value, 3) : ('' + value);
+        }).join(',')
+        + ',' + (data.digital || []).map(function(bit) {
+            return bit ? '1' : '0';
+        }).join('')
+        + (data.comment || '');
+}
+
+/** Parse the information field of an APRS packet.
+    Return an object with a type property ('position', 'weather', 'object', 'item',
+    'message', 'ack', 'rej', 'status', 'telemetry' or 'unknown') and other
+    properties that depend on the type.
+    Return null if the packet isn't an APRS packet.
+    Throw an error if the packet isn't formatted as expected.
+*/
+function decode(packet) {
+    if (packet.type != 'UI' || packet.PID != null || !packet.info || !packet.info.length) {
+        return null;
+    }
+    const info = packet.info.toString('binary');
+    const dataType = info.charAt(0);
+    var into = {};
+    switch(dataType) {
+    case '!':
+    case '=':
+        into.type = 'position';
+        if (dataType == '=') into.messaging = true;
+        return parsePosition(info.substring(1), into);
+    case '/':
+    case '@':
+        into.type = 'position';
+        if (dataType == '@') into.messaging = true;
+        into.timestamp = parseTimestamp(info.substring(1, 8));
+        return parsePosition(info.substring(8), into);
+    case '`':
+    case '\'':
+        into.type = 'position';
+        return parseMicE(packet, info, into);
+    case ';':
+        if (info.length < 18) throw newFormatError(`object "${info}"`);
+        into.type = 'object';
+        into.name = info.substring(1, 10).trim();
+        into.alive = (info.charAt(10) == '*');
+        into.timestamp = parseTimestamp(info.substring(11, 18));
+        parsePosition(info.substring(18), into);
+        into.type = 'object';
+        return into;
+    case ')':
+        const end = info.substring(1, 11).search(/[!_]/);
+        if (end < 3) throw newFormatError(`item "${info}"`);
+        into.type = 'item';
+        into.name = info.substring(1, end + 1);
+        into.alive = (info.charAt(end + 1) == '!');
+        parsePosition(info.substring(end + 2), into);
+        into.type = 'item';
+        return into;
+    case ':':
+        return parseMessage(info, into);
+    case '>':
+        into.type = 'status';
+        if (/^>\d{6}z/.test(info)) {
+            into.timestamp = parseTimestamp(info.substring(1, 8));
+            into.text = info.substring(8);
+        } else {
+            into.text = info.substring(1);
+        }
+        return into;
+    case '_':
+        into.type = 'weather';
+        const time = /^_(\d\d)(\d\d)(\d\d)(\d\d)/.exec(info);
+        if (!time) throw newFormatError(`weather "${info}"`);
+        into.timestamp = {
+            month: parseInt(time[1]),
+            day: parseInt(time[2]),
+            hour: parseInt(time[3]),
+            minute: parseInt(time[4]),
+        };
+        into.weather = {};
+        const comment = parseWeather(info.substring(9), into.weather);
+        if (comment) into.comment = comment;
+        return into;
+    case 'T':
+        if (info.charAt(1) == '#') {
+            into.type = 'telemetry';
+            return parseTelemetry(info, into);
+        }
+        // fall through
+    default:
+        return {type: 'unknown', text: info};
+    }
+}
+
+/** Format data (like the result of decode) into a packet,
+    which can be passed to RawSocket.write.
+    Fields of options (e.g. port, fromAddress, via) are copied into the packet.
+*/
+function encode(data, options) {
+    var toAddress = (options && options.toAddress) || DefaultDestination;
+    var info;
+    switch((data.type == 'weather' && data.latitude != null) ? 'position' : data.type) {
+    case 'position':
+        if (data.format == 'Mic-E') {
+            const micE = formatMicE(data);
+            toAddress = micE.toAddress;
+            info = micE.info;
+        } else {
+            info = ((data.timestamp != null)
+                    ? (data.messaging ? '@' : '/') + formatTimestamp(data.timestamp)
+                    : (data.messaging ? '=' : '!'))
+                + formatPositionReport(data);
+        }
+        break;
+    case 'object':
+        info = ';' + (data.name + '         ').substring(0, 9)
+            + (data.alive === false ? '_' : '*')
+            + formatTimestamp(data.timestamp || new Date())
+            + formatPositionReport(data);
+        break;
+    case 'item':
+        info = ')' + data.name + (data.alive === false ? '_' : '!')
+            + formatPositionReport(data);
+        break;
+    case 'message':
+    case 'ack':
+    case 'rej':
+        info = formatMessage(data);
+        break;
+    case 'status':
+        info = '>' + ((data.timestamp != null)
+                      ? formatTimestamp(Object.assign({zulu: true}, data.timestamp))
+                      : '')
+            + (data.text || '');
+        break;
+    case 'weather': // without a position
+        const t = data.timestamp || {};
+        const now = new Date();
+        info = '_'
+            + pad((t.month != null) ? t.month : now.getUTCMonth() + 1, 2)
+            + pad((t.day != null) ? t.day : now.getUTCDate(), 2)
+            + pad((t.hour != null) ? t.hour : now.getUTCHours(), 2)
+            + pad((t.minute != null) ? t.minute : now.getUTCMinutes(), 2)
+            + formatWeather(data.weather || {}, true)
+            + (data.comment || '');
+        break;
+    case 'telemetry':
+        info = formatTelemetry(data);
+        break;
+    case 'unknown':
+        info = data.text;
+        break;
+    default:
+        throw newFormatError(`APRS data type ${data.type}`);
+    }
+    return Object.assign({}, options, {
+        type: 'UI',
+        toAddress: toAddress,
+        info: Buffer.from(info, 'binary'),
+    });
+}
+
+exports.decode = decode;
+exports.encode = encode;
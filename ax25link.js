@@ -0,0 +1,606 @@
+'use strict';
+/** AX.25 connected mode, implemented in JavaScript. */
+/*
+A LinkLayer emulates the connected mode of an AGWPE TNC. It exchanges
+AGWPE frames ('C', 'v', 'D', 'd', 'Y' etc.) with a client and raw AX.25
+packets with a TNC that doesn't implement connected mode (e.g. KISS).
+It manages one DataLink for each connection, which implements
+(a simplified form of) the AX.25 version 2.2 data link state machine,
+with modulo 8 sequence numbers.
+*/
+
+const guts = require('./guts.js');
+
+const Defaults = {
+    T1: 3000, // msec to wait for an acknowledgement, per hop
+    T3: 300000, // msec of inactivity, after which the link is checked
+    N2: 10, // maximum number of retries
+    maxFrame: 4, // maximum number of unacknowledged I frames (k)
+    srej: false, // request retransmission with SREJ, instead of REJ
+};
+const Modulo = 8;
+
+/** Messages to the client, in the style of Direwolf. */
+const Texts = {
+    connectedTo: function(call) {return `*** CONNECTED To Station ${call}\r`;},
+    connectedWith: function(call, via) {
+        return `*** CONNECTED With Station ${call}`
+            + ((via && via.length) ? ` via ${via.join(',')}\r` : '\r');
+    },
+    disconnected: function(call) {return `*** DISCONNECTED From Station ${call}\r`;},
+    retryout: function(call) {return `*** DISCONNECTED RETRYOUT With ${call}\r`;},
+};
+
+function mod(n) {
+    return ((n % Modulo) + Modulo) % Modulo;
+}
+
+/** The state of a connection between a local and a remote station. */
+class DataLink {
+
+    constructor(layer, port, myCall, theirCall, via) {
+        this.layer = layer;
+        this.log = layer.log;
+        this.options = layer.options;
+        this.port = port;
+        this.myCall = myCall;
+        this.theirCall = theirCall;
+        this.via = via || [];
+        this.T1 = this.options.T1 * (1 + (2 * this.via.length));
+        this.state = 'disconnected';
+        this.sendQueue = []; // info fields waiting to be sent
+        this.reset();
+    }
+
+    reset() {
+        this.VS = 0; // the next N(S) to send
+        this.VR = 0; // the next N(S) expected to receive
+        this.VA = 0; // the oldest N(S) not acknowledged
+        this.RC = 0; // retry count
+        this.unacked = {}; // N(S) => info field
+        this.outOfOrder = {}; // N(S) => received packet, waiting for a missing packet
+        this.peerBusy = false;
+        this.rejectSent = false;
+        this.stopT1();
+        this.stopT3();
+    }
+
+    send(type, fields) {
+        this.layer.toTNC(Object.assign({
+            port: this.port,
+            type: type,
+            toAddress: this.theirCall,
+            fromAddress: this.myCall,
+            via: this.via,
+        }, fields));
+    }
+
+    toClient(dataKind, data, PID) {
+        this.layer.toClient({
+            dataKind: dataKind,
+            port: this.port,
+            callFrom: this.theirCall,
+            callTo: this.myCall,
+            PID: PID,
+            data: data,
+        });
+    }
+
+    startT1() {
+        this.stopT1();
+        const that = this;
+        this.timer1 = setTimeout(function() {
+            that.timer1 = null;
+            that.onT1();
+        }, this.T1);
+    }
+
+    stopT1() {
+        if (this.timer1) {
+            clearTimeout(this.timer1);
+            this.timer1 = null;
+        }
+    }
+
+    startT3() {
+        this.stopT3();
+        const that = this;
+        this.timer3 = setTimeout(function() {
+            that.timer3 = null;
+            that.onT3();
+        }, this.options.T3);
+    }
+
+    stopT3() {
+        if (this.timer3) {
+            clearTimeout(this.timer3);
+            this.timer3 = null;
+        }
+    }
+
+    /** The number of I frames that haven't been acknowledged, or not yet sent. */
+    getFramesInFlight() {
+        return this.sendQueue.length + mod(this.VS - this.VA);
+    }
+
+    connect() {
+        this.state = 'awaitingConnection';
+        this.reset();
+        this.send('SABM', {command: true, P: true});
+        this.startT1();
+    }
+
+    disconnect() {
+        switch(this.state) {
+        case 'connected':
+        case 'timerRecovery':
+            this.state = 'awaitingRelease';
+            this.stopT3();
+            this.RC = 0;
+            this.send('DISC', {command: true, P: true});
+            this.startT1();
+            break;
+        case 'awaitingRelease':
+            break;
+        default:
+            this.send('DISC', {command: true, P: true});
+            this.disconnected(Texts.disconnected);
+        }
+    }
+
+    disconnected(text) {
+        this.state = 'disconnected';
+        this.reset();
+        this.sendQueue = [];
+        this.layer.deleteLink(this);
+        this.toClient('d', text(this.theirCall));
+    }
+
+    /** Queue data to be sent, in I frames no longer than options.frameLength. */
+    write(data, PID) {
+        const length = this.options.frameLength;
+        for (var start = 0; start < data.length; start += length) {
+            this.sendQueue.push({
+                PID: PID,
+                info: data.slice(start, Math.min(data.length, start + length)),
+            });
+        }
+        this.pump();
+    }
+
+    /** Send as many I frames as the window permits. */
+    pump() {
+        while (this.state == 'connected'
+               && !this.peerBusy
+               && this.sendQueue.length > 0
+               && mod(this.VS - this.VA) < this.options.maxFrame) {
+            const NS = this.VS;
+            const item = this.sendQueue.shift();
+            this.unacked[NS] = item;
+            this.VS = mod(NS + 1);
+            this.sendI(NS, item);
+            if (!this.timer1) {
+                this.stopT3();
+                this.startT1();
+            }
+        }
+    }
+
+    sendI(NS, item) {
+        this.ackPending = false;
+        this.send('I', {command: true, NS: NS, NR: this.VR, PID: item.PID, info: item.info});
+    }
+
+    /** Send an RR response, unless an I frame acknowledges received data first. */
+    acknowledge() {
+        const that = this;
+        if (!this.ackPending) {
+            this.ackPending = true;
+            setTimeout(function() {
+                that.pump();
+                if (that.ackPending && that.state != 'disconnected') {
+                    that.ackPending = false;
+                    that.send('RR', {response: true, NR: that.VR});
+                }
+            }, 0);
+        }
+    }
+
+    /** Move all the unacknowledged I frames back into the send queue. */
+    retransmit() {
+        const frames = [];
+        for (var NS = this.VA; NS != this.VS; NS = mod(NS + 1)) {
+            frames.push(this.unacked[NS]);
+        }
+        this.unacked = {};
+        this.VS = this.VA;
+        this.sendQueue = frames.concat(this.sendQueue);
+        this.stopT1();
+        this.pump();
+    }
+
+    /** Process an acknowledgement. Return false if NR is not valid. */
+    acknowledged(NR) {
+        if (mod(NR - this.VA) > mod(this.VS - this.VA)) {
+            this.log.debug('invalid N(R) %d (V(A)=%d, V(S)=%d)', NR, this.VA, this.VS);
+            return false;
+        }
+        const advanced = (NR != this.VA);
+        for (; this.VA != NR; this.VA = mod(this.VA + 1)) {
+            delete this.unacked[this.VA];
+        }
+        if (this.state == 'connected') {
+            if (this.VA == this.VS) {
+                this.stopT1();
+                this.startT3();
+            } else if (advanced) {
+                this.startT1();
+            }
+        }
+        return true;
+    }
+
+    onT1() {
+        switch(this.state) {
+        case 'awaitingConnection':
+            if (this.RC >= this.options.N2) {
+                this.disconnected(Texts.retryout);
+            } else {
+                ++this.RC;
+                this.send('SABM', {command: true, P: true});
+                this.startT1();
+            }
+            break;
+        case 'awaitingRelease':
+            if (this.RC >= this.options.N2) {
+                this.disconnected(Texts.disconnected);
+            } else {
+                ++this.RC;
+                this.send('DISC', {command: true, P: true});
+                this.startT1();
+            }
+            break;
+        case 'connected':
+            this.state = 'timerRecovery';
+            this.RC = 1;
+            this.send('RR', {P: true, NR: this.VR});
+            this.startT1();
+            break;
+        case 'timerRecovery':
+            if (this.RC >= this.options.N2) {
+                this.send('DM', {response: true});
+                this.disconnected(Texts.retryout);
+            } else {
+                ++this.RC;
+                this.send('RR', {P: true, NR: this.VR});
+                this.startT1();
+            }
+            break;
+        default:
+        }
+    }
+
+    onT3() {
+        if (this.state == 'connected') {
+            this.state = 'timerRecovery';
+            this.RC = 0;
+            this.send('RR', {P: true, NR: this.VR});
+            this.startT1();
+        }
+    }
+
+    onPacket(packet) {
+        switch(packet.type) {
+        case 'SABM':
+            this.onSABM(packet);
+            break;
+        case 'SABME':
+            // Decline modulo 128. The other station should try again with SABM.
+            this.send('DM', {response: true, F: packet.P});
+            break;
+        case 'DISC':
+            this.send('UA', {response: true, F: packet.P});
+            if (this.state != 'disconnected') {
+                this.disconnected(Texts.disconnected);
+            }
+            break;
+        case 'UA':
+            this.onUA(packet);
+            break;
+        case 'DM':
+            if (this.state != 'disconnected') {
+                this.disconnected(Texts.disconnected);
+            }
+            break;
+        case 'FRMR':
+            this.log.debug('FRMR %s', packet.frmr ? guts.describeFRMR(packet.frmr) : '');
+            this.reestablishing = true;
+            this.connect();
+            break;
+        case 'I':
+        case 'RR':
+        case 'RNR':
+        case 'REJ':
+        case 'SREJ':
+            if (this.state == 'connected' || this.state == 'timerRecovery') {
+                this.onInformationOrSupervisory(packet);
+            }
+            break;
+        default:
+            this.log.debug('ignore %s', packet.type);
+        }
+    }
+
+    onSABM(packet) {
+        const isNew = (this.state == 'disconnected');
+        this.send('UA', {response: true, F: packet.P});
+        if (this.state == 'awaitingConnection' || this.state == 'awaitingRelease') {
+            this.log.debug('SABM while %s', this.state);
+        }
+        const wasConnecting = (this.state == 'awaitingConnection' && !this.reestablishing);
+        this.reset();
+        this.state = 'connected';
+        this.startT3();
+        if (isNew) {
+            // this.via is the path to them; report the path from them, as the SABM came:
+            this.toClient('C', Texts.connectedWith(this.theirCall, guts.reversePath(this.via)));
+        } else if (wasConnecting) {
+            this.toClient('C', Texts.connectedTo(this.theirCall));
+        }
+        this.reestablishing = false;
+        this.pump();
+    }
+
+    onUA(packet) {
+        switch(this.state) {
+        case 'awaitingConnection':
+            this.stopT1();
+            this.RC = 0;
+            this.state = 'connected';
+            this.startT3();
+            if (!this.reestablishing) {
+                this.toClient('C', Texts.connectedTo(this.theirCall));
+            }
+            this.reestablishing = false;
+            this.pump();
+            break;
+        case 'awaitingRelease':
+            this.disconnected(Texts.disconnected);
+            break;
+        default:
+            this.log.debug('ignore UA while %s', this.state);
+        }
+    }
+
+    onInformationOrSupervisory(packet) {
+        if (this.state == 'timerRecovery' && packet.response && packet.F) {
+            this.stopT1();
+            if (!this.acknowledged(packet.NR)) return;
+            this.state = 'connected';
+            this.RC = 0;
+            this.peerBusy = (packet.type == 'RNR');
+            if (this.VA != this.VS && !this.peerBusy) {
+                this.retransmit();
+            } else if (this.peerBusy) {
+                this.startT1(); // to poll again
+            } else {
+                this.startT3();
+                this.pump();
+            }
+            if (packet.type == 'I') this.onI(packet);
+            return;
+        }
+        if (packet.type != 'SREJ' && !this.acknowledged(packet.NR)) return;
+        switch(packet.type) {
+        case 'I':
+            this.onI(packet);
+            break;
+        case 'RR':
+            this.peerBusy = false;
+            this.pump();
+            break;
+        case 'RNR':
+            this.peerBusy = true;
+            if (this.state == 'connected') this.startT1(); // to poll
+            break;
+        case 'REJ':
+            this.peerBusy = false;
+            if (this.state == 'connected') this.retransmit();
+            break;
+        case 'SREJ':
+            const item = this.unacked[packet.NR];
+            if (item) this.sendI(packet.NR, item);
+            break;
+        default:
+        }
+        if (packet.command && packet.P && packet.type != 'I') {
+            this.send('RR', {F: true, NR: this.VR});
+        }
+    }
+
+    onI(packet) {
+        if (packet.NS == this.VR) {
+            this.receive(packet);
+            // Deliver packets that were received out of order:
+            while (this.outOfOrder[this.VR]) {
+                const next = this.outOfOrder[this.VR];
+                delete this.outOfOrder[this.VR];
+                this.receive(next);
+            }
+            this.rejectSent = false;
+        } else if (this.options.srej
+                   && mod(packet.NS - this.VR) < this.options.maxFrame) {
+            if (!this.outOfOrder[packet.NS]) {
+                this.outOfOrder[packet.NS] = packet;
+                if (!this.rejectSent) {
+                    this.rejectSent = true;
+                    this.send('SREJ', {response: true, NR: this.VR});
+                }
+            }
+        } else if (!this.rejectSent) {
+            this.rejectSent = true;
+            this.send('REJ', {response: true, NR: this.VR});
+        }
+        if (packet.P) {
+            this.send('RR', {F: true, NR: this.VR});
+        } else if (!this.rejectSent) {
+            this.acknowledge();
+        }
+    }
+
+    receive(packet) {
+        this.VR = mod(this.VR + 1);
+        this.toClient('D', packet.info || Buffer.alloc(0), packet.PID);
+    }
+} // DataLink
+
+/** Emulates AGWPE connected mode, using raw AX.25 packets.
+    toTNC(packet) is called to transmit a packet.
+    toClient(frame) is called to pass an AGWPE frame to the client.
+*/
+class LinkLayer {
+
+    constructor(options, toTNC, toClient) {
+        this.log = guts.getLogger(options, this);
+        this.options = Object.assign({}, Defaults, options && options.ax25, {
+            frameLength: (options && options.frameLength) || guts.DefaultFrameLength,
+        });
+        this.toTNC = toTNC;
+        this.toClient = toClient;
+        this.links = {}; // port, myCall and theirCall => DataLink
+        this.registered = {}; // port and call sign => true
+    }
+
+    getKey(port, myCall, theirCall) {
+        return `${port} ${myCall} ${theirCall}`;
+    }
+
+    getLink(port, myCall, theirCall, via) {
+        const key = this.getKey(port, myCall, theirCall);
+        var link = this.links[key];
+        if (!link) {
+            link = new DataLink(this, port, myCall, theirCall, via);
+            this.links[key] = link;
+        }
+        return link;
+    }
+
+    deleteLink(link) {
+        const key = this.getKey(link.port, link.myCall, link.theirCall);
+        if (this.links[key] === link) delete this.links[key];
+    }
+
+    register(port, call) {
+        this.registered[`${port} ${call.toUpperCase()}`] = true;
+    }
+
+    unregister(port, call) {
+        delete this.registered[`${port} ${call.toUpperCase()}`];
+    }
+
+    /** Handle an AGWPE frame from the client.
+        Return true if it's related to connected mode.
+    */
+    onFrameFromClient(frame) {
+        const port = frame.port || 0;
+        const myCall = (frame.callFrom || '').toUpperCase();
+        const theirCall = (frame.callTo || '').toUpperCase();
+        const link = this.links[this.getKey(port, myCall, theirCall)];
+        switch(frame.dataKind) {
+        case 'C': // connect
+        case 'c': // connect with a PID
+            this.getLink(port, myCall, theirCall, []).connect();
+            return true;
+        case 'v': // connect via digipeaters
+            this.getLink(port, myCall, theirCall, guts.decodeViaData(frame.data).via)
+                .connect();
+            return true;
+        case 'D': // data
+            if (link) {
+                link.write(frame.data || Buffer.alloc(0),
+                           (frame.PID != null) ? frame.PID : undefined);
+            } else {
+                this.log.debug('no link for %s', guts.getFrameSummary(frame));
+            }
+            return true;
+        case 'd': // disconnect
+            if (link) {
+                link.disconnect();
+            } else {
+                this.toClient({
+                    dataKind: 'd',
+                    port: port,
+                    callFrom: theirCall,
+                    callTo: myCall,
+                    data: Texts.disconnected(theirCall),
+                });
+            }
+            return true;
+        case 'Y': // frames waiting to be transmitted to one station
+            const inFlight = Buffer.alloc(4);
+            inFlight.writeUInt32LE(link ? link.getFramesInFlight() : 0, 0);
+            this.toClient({
+                dataKind: 'Y',
+                port: port,
+                callFrom: frame.callFrom,
+                callTo: frame.callTo,
+                data: inFlight,
+            });
+            return true;
+        default:
+            return false;
+        }
+    }
+
+    /** Handle a packet received from the TNC. */
+    onPacket(packet) {
+        if ((packet.via || []).some(function(v) {return !v.endsWith('*');})) {
+            return; // not yet repeated by all the digipeaters
+        }
+        const port = packet.port || 0;
+        const myCall = packet.toAddress.toUpperCase();
+        const theirCall = packet.fromAddress.toUpperCase();
+        var link = this.links[this.getKey(port, myCall, theirCall)];
+        if (!link) {
+            if (!this.registered[`${port} ${myCall}`]) return;
+            switch(packet.type) {
+            case 'SABM':
+            case 'SABME':
+                link = this.getLink(port, myCall, theirCall, guts.reversePath(packet.via));
+                break;
+            case 'UI':
+            case 'DM':
+            case 'TEST':
+            case 'XID':
+                return;
+            default:
+                // Tell them we're not connected.
+                this.toTNC({
+                    port: port,
+                    type: 'DM',
+                    toAddress: theirCall,
+                    fromAddress: myCall,
+                    via: guts.reversePath(packet.via),
+                    response: true,
+                    F: packet.P,
+                });
+                return;
+            }
+        }
+        link.onPacket(packet);
+        if (link.state == 'disconnected') this.deleteLink(link);
+    }
+
+    /** Stop all the timers, without notifying anyone. */
+    close() {
+        for (const key in this.links) {
+            this.links[key].reset();
+        }
+        this.links = {};
+    }
+} // LinkLayer
+
+exports.DataLink = DataLink;
+exports.Defaults = Defaults;
+exports.LinkLayer = LinkLayer;
+exports.Texts = Texts;
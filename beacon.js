@@ -0,0 +1,206 @@
+'use strict';
+/** Transmit beacons periodically. */
+
+const EventEmitter = require('events');
+const guts = require('./guts.js');
+
+const DefaultJitter = 0.1; // fraction of the interval
+const DefaultMaxInFlight = 2; // frames
+
+function validateBeacon(beacon) {
+    if (!beacon) throw guts.newError('no beacon', 'ERR_INVALID_ARG_VALUE');
+    const interval = beacon.interval;
+    if (!(interval > 0)) {
+        throw guts.newRangeError(`The beacon interval ${interval} isn't positive.`);
+    }
+    if (beacon.offset != null && !(beacon.offset >= 0)) {
+        throw guts.newRangeError(`The beacon offset ${beacon.offset} is negative.`);
+    }
+    if (beacon.data == null) {
+        throw guts.newError('The beacon has no data.', 'ERR_INVALID_ARG_VALUE');
+    }
+    return Object.assign({}, beacon, {
+        port: guts.validatePort(beacon.port || 0),
+        from: guts.validateCallSign('local', beacon.from),
+        to: guts.validateCallSign('remote', beacon.to || 'BEACON'),
+        via: guts.validatePath(beacon.via),
+    });
+}
+
+/** Transmits UI packets periodically, for example:
+    {port: 0, from: 'N0CALL', to: 'APRS', via: ['WIDE2-1'], data: '>on the air',
+     interval: 600000, offset: 60000}.
+    data may be a function that returns the data (or null, to skip this time).
+    A beacon is transmitted via the TNC's UNPROTO service, or via a RawSocket
+    if beacon.raw or options.raw is true.
+    Each transmission is delayed randomly, by up to options.jitter times the interval.
+    A transmission is skipped if the TNC already has options.maxInFlight or more
+    frames waiting to be transmitted via that port. The schedule doesn't drift:
+    the nth transmission is scheduled at offset + (n * interval), plus jitter.
+*/
+class BeaconScheduler extends EventEmitter {
+
+    constructor(options, server) {
+        super();
+        this.log = guts.getLogger(server.options, this);
+        this.log.debug('new(%j, %s)', options, server.constructor.name);
+        this.server = server;
+        this.options = options || {};
+        this.jitter = (this.options.jitter != null) ? this.options.jitter : DefaultJitter;
+        this.maxInFlight = this.options.maxInFlight || DefaultMaxInFlight;
+        this.random = Math.random;
+        this.beacons = {}; // id => beacon
+        this.nextID = 1;
+        const that = this;
+        (this.options.beacons || []).forEach(function(beacon) {
+            that.add(beacon);
+        });
+    }
+
+    /** Start transmitting a beacon. Return its id. */
+    add(beacon) {
+        const entry = validateBeacon(beacon);
+        if (entry.id == null) {
+            while (this.beacons[this.nextID]) ++this.nextID;
+            entry.id = this.nextID++;
+        } else if (this.beacons[entry.id]) {
+            throw guts.newError(`There's already a beacon ${entry.id}.`, 'ERR_INVALID_ARG_VALUE');
+        }
+        this.log.debug('add %s', entry.id);
+        this.beacons[entry.id] = entry;
+        entry.next = Date.now() + (entry.offset || 0);
+        this.schedule(entry);
+        return entry.id;
+    }
+
+    /** Stop transmitting a beacon. Return false if there's no such beacon. */
+    remove(id) {
+        const entry = this.beacons[id];
+        if (!entry) return false;
+        this.log.debug('remove %s', id);
+        clearTimeout(entry.timer);
+        delete this.beacons[id];
+        return true;
+    }
+
+    /** Change some fields of a beacon. A new interval or offset restarts its schedule. */
+    update(id, changes) {
+        const entry = this.beacons[id];
+        if (!entry) throw guts.newError(`There's no beacon ${id}.`, 'ERR_INVALID_ARG_VALUE');
+        const updated = validateBeacon(Object.assign({}, entry, changes, {id: id}));
+        clearTimeout(entry.timer);
+        if (changes.interval != null || changes.offset != null) {
+            updated.next = Date.now() + (updated.offset || 0);
+        }
+        this.beacons[id] = updated;
+        this.schedule(updated);
+    }
+
+    /** Return copies of all the beacons. */
+    getBeacons() {
+        const that = this;
+        return Object.keys(this.beacons).map(function(id) {
+            const beacon = Object.assign({}, that.beacons[id]);
+            delete beacon.next;
+            delete beacon.timer;
+            return beacon;
+        });
+    }
+
+    /** Stop transmitting all beacons. */
+    close() {
+        for (const id in this.beacons) {
+            this.remove(id);
+        }
+        if (this.socket) {
+            this.socket.destroy();
+            delete this.socket;
+        }
+    }
+
+    /** Transmit a packet via a RawSocket. */
+    writeRaw(packet, callback) {
+        const that = this;
+        if (!this.socket) {
+            this.socket = this.server.createSocket();
+            this.socket.on('error', function(err) {
+                that.emit('error', err);
+            });
+            this.socket.on('close', function() {
+                delete that.socket;
+            });
+            this.socket.bind();
+        }
+        const socket = this.socket;
+        if (socket.isBound) {
+            socket.write(packet, callback);
+        } else {
+            socket.once('listening', function() {
+                socket.write(packet, callback);
+            });
+        }
+    }
+
+    schedule(entry) {
+        const that = this;
+        const delay = Math.max(0, entry.next - Date.now())
+              + Math.floor(this.random() * this.jitter * entry.interval);
+        entry.timer = setTimeout(function() {
+            // Schedule the next transmission. Skip any that are overdue.
+            const now = Date.now();
+            do {
+                entry.next += entry.interval;
+            } while (entry.next <= now);
+            that.schedule(entry);
+            that.transmit(entry);
+        }, delay);
+    }
+
+    transmit(entry) {
+        const that = this;
+        this.server.getFramesInFlight(entry.port, function(err, frames) {
+            try {
+                if (err) throw err;
+                if (frames >= that.maxInFlight) {
+                    that.log.debug('skip %s (%d frames in flight)', entry.id, frames);
+                    that.emit('skip', entry.id, frames);
+                    return;
+                }
+                const data = (typeof entry.data == 'function') ? entry.data() : entry.data;
+                if (data == null) return;
+                const sent = function sent(err) {
+                    if (err) {
+                        that.emit('error', err);
+                    } else {
+                        that.emit('beacon', entry.id, data);
+                    }
+                };
+                if ((entry.raw != null) ? entry.raw : that.options.raw) {
+                    that.writeRaw({
+                        port: entry.port,
+                        type: 'UI',
+                        command: true,
+                        toAddress: entry.to,
+                        fromAddress: entry.from,
+                        via: entry.via,
+                        PID: entry.PID,
+                        info: ((typeof data) == 'string') ? Buffer.from(data, 'utf-8') : data,
+                    }, sent);
+                } else {
+                    that.server.sendUnproto({
+                        port: entry.port,
+                        from: entry.from,
+                        to: entry.to,
+                        via: entry.via,
+                        PID: entry.PID,
+                        data: data,
+                    }, sent);
+                }
+            } catch(err) {
+                that.emit('error', err);
+            }
+        });
+    }
+} // BeaconScheduler
+
+exports.BeaconScheduler = BeaconScheduler;
@@ -45,6 +45,32 @@ class RouterShim {
     }
 }
 
+/** Like createConnection, but return a Promise that resolves to the connection
+    when it's connected, or rejects if it fails to connect. The rejection is
+    the error that explains why, unless options.connectErrors is false.
+*/
+function connect(options) {
+    return new Promise(function(resolve, reject) {
+        options = Object.assign({connectErrors: true}, options);
+        const connection = createConnection(options, function connected() {
+            connection.removeListener('error', onError);
+            connection.removeListener('end', onEnd);
+            resolve(connection);
+        });
+        const onError = function(err) {
+            connection.removeListener('end', onEnd);
+            connection.destroy();
+            reject(err);
+        };
+        const onEnd = function(data) {
+            connection.removeListener('error', onError);
+            reject(newError(`Disconnected ${data || ''}`.trim(), 'ECONNREFUSED'));
+        };
+        connection.once('error', onError);
+        connection.once('end', onEnd);
+    });
+}
+
 function createConnection(options, connectListener) {
     guts.checkNodeVersion();
     const log = options.logger || guts.LogNothing;
@@ -55,11 +81,13 @@ function createConnection(options, connectListener) {
         frameLength: options.frameLength,
         ID: options.ID,
         logger: options.logger,
+        noDelay: options.noDelay,
+        writeDelay: options.writeDelay,
     };
     const localPort = guts.validatePort(options.localPort || 0);
     const localAddress = validateCallSign('local', options.localAddress);
     const remoteAddress = validateCallSign('remote', options.remoteAddress);
-    const via = guts.validatePath(options.via);
+    const paths = server.getConnectPaths(options);
     const connectFrame = {
         port: localPort,
         callTo: localAddress,
@@ -71,7 +99,14 @@ function createConnection(options, connectListener) {
     const assembler = new server.FrameAssembler(agwOptions, connectFrame);
     const connection = new server.Connection(agwOptions, assembler);
     throttle.client = connection;
+    connection.throttle = throttle;
+    throttle.counters = connection.counters;
     receiver.client = new RouterShim(localPort, throttle, connection, connectListener);
+    if (options.timeout) {
+        connection.once('connected', function() {
+            connection.setTimeout(options.timeout);
+        });
+    }
     const that = this;
     const socket = Net.createConnection({
         host: options.host || '127.0.0.1',
@@ -111,8 +146,9 @@ function createConnection(options, connectListener) {
         dataKind: 'X', // register call sign
         callFrom: localAddress,
     });
-    throttle.write(guts.connectFrame(localPort, localAddress, remoteAddress, via));
+    throttle.connect(paths, options);
     return connection;
 }
 
+exports.connect = connect;
 exports.createConnection = createConnection;
@@ -0,0 +1,214 @@
+'use strict';
+/** Repeat AX.25 packets via a RawSocket. */
+
+const EventEmitter = require('events');
+const guts = require('./guts.js');
+
+const DefaultDuplicateTime = 30000; // msec
+const MaxDigipeaters = 8;
+
+function getDigipeaterOptions(options) {
+    const myCall = normalizeCall(guts.validateCallSign('digipeater', options.myCall));
+    return {
+        myCall: myCall,
+        aliases: [myCall].concat(
+            (options.aliases || []).map(function(alias) {
+                return normalizeCall(guts.validateCallSign('alias', alias));
+            })),
+        WIDEn: (options.WIDEn || ['WIDE']).map(function(name) {
+            return name.toUpperCase();
+        }),
+        maxHops: (options.maxHops != null) ? options.maxHops : 7,
+    };
+}
+
+/** Remove the SSID "-0", which is the same as no SSID. */
+function normalizeCall(call) {
+    return call.replace(/-0$/, '');
+}
+
+/** Compute the packet that a digipeater should transmit, to repeat the given packet.
+    Return null if the packet shouldn't be repeated.
+    A digipeater repeats a packet if the first unrepeated call sign in its via path
+    is options.myCall or one of options.aliases. The call sign is replaced with myCall,
+    marked as repeated.
+    A WIDEn-N call sign (where WIDE is one of options.WIDEn and n <= options.maxHops)
+    is also repeated, with N decremented. In that case myCall is inserted before it,
+    to trace the path, unless the path is full.
+*/
+function digipeat(packet, options) {
+    return repeatVia(packet, getDigipeaterOptions(options));
+}
+
+function repeatVia(packet, options) {
+    const via = packet.via;
+    if (!via || normalizeCall(packet.fromAddress.toUpperCase()) == options.myCall) {
+        return null;
+    }
+    var next = 0;
+    while (next < via.length && via[next].endsWith('*')) ++next;
+    if (next >= via.length) return null; // All the digipeaters have repeated it.
+    const call = normalizeCall(via[next].toUpperCase());
+    const newVia = via.slice();
+    if (options.aliases.indexOf(call) >= 0) {
+        newVia[next] = options.myCall + '*';
+    } else {
+        const wide = /^([A-Z]+)([1-7])-([1-7])$/.exec(call);
+        if (!wide || options.WIDEn.indexOf(wide[1]) < 0) return null;
+        const n = parseInt(wide[2]);
+        const N = parseInt(wide[3]);
+        if (N > n || n > options.maxHops) return null;
+        newVia[next] = wide[1] + n + ((N > 1) ? ('-' + (N - 1)) : '*');
+        if (via.length < MaxDigipeaters) {
+            newVia.splice(next, 0, options.myCall + '*');
+        }
+    }
+    return Object.assign({}, packet, {via: newVia});
+}
+
+/** Identifies packets that are the same except for their via paths. */
+function getDuplicateKey(packet) {
+    return [
+        packet.fromAddress,
+        packet.toAddress,
+        packet.type,
+        packet.NS,
+        packet.NR,
+        packet.PID,
+        packet.info ? packet.info.toString('base64') : '',
+    ].join(' ');
+}
+
+/** Repeats packets, as a digipeater.
+    Packets received from each port are repeated via the ports listed in
+    options.routes. By default, packets are repeated via the same port.
+    A packet isn't repeated again via the same port within options.duplicateTime.
+    If options.viscousDelay is set, a packet is repeated only after that delay,
+    and only if no other digipeater repeats it first.
+*/
+class Digipeater extends EventEmitter {
+
+    constructor(options, server) {
+        super();
+        this.log = guts.getLogger(server.options, this);
+        this.log.debug('new(%j, %s)', options, server.constructor.name);
+        this.server = server;
+        this.options = options;
+        this.digipeaterOptions = getDigipeaterOptions(options);
+        this.routes = (options.routes || []).map(function(route) {
+            return {
+                from: guts.validatePort(route.from),
+                to: guts.validatePort(route.to),
+                options: getDigipeaterOptions(Object.assign({}, options, route)),
+            };
+        });
+        this.duplicateTime = (options.duplicateTime != null)
+            ? options.duplicateTime : DefaultDuplicateTime;
+        this.viscousDelay = options.viscousDelay || 0;
+        this.transmitted = {}; // key => time when a packet was repeated
+        this.pending = {}; // port and key => timeout of viscous delay
+    }
+
+    bind(callback) {
+        this.log.debug('bind(%s)', typeof callback);
+        const that = this;
+        this.socket = this.server.createSocket(this.options);
+        this.socket.on('error', function(err) {
+            that.emit('error', err);
+        });
+        this.socket.on('close', function() {
+            that.close();
+        });
+        this.socket.on('data', function(packet) {
+            that.onPacket(packet);
+        });
+        this.socket.bind(callback);
+    }
+
+    close() {
+        for (const portKey in this.pending) {
+            clearTimeout(this.pending[portKey].timeout);
+        }
+        this.pending = {};
+        if (this.socket) {
+            const socket = this.socket;
+            delete this.socket;
+            socket.destroy();
+            this.emit('close');
+        }
+    }
+
+    getRoutes(port) {
+        const routes = this.routes.filter(function(route) {
+            return route.from == port;
+        });
+        return (this.routes.length > 0) ? routes
+            : [{from: port, to: port, options: this.digipeaterOptions}];
+    }
+
+    onPacket(packet) {
+        try {
+            const that = this;
+            const key = getDuplicateKey(packet);
+            if ((packet.via || []).some(function(v) {return v.endsWith('*');})) {
+                var canceled = false;
+                for (const portKey in this.pending) {
+                    if (this.pending[portKey].key == key) {
+                        // Another digipeater repeated it.
+                        this.log.debug('cancel %s', portKey);
+                        clearTimeout(this.pending[portKey].timeout);
+                        delete this.pending[portKey];
+                        canceled = true;
+                    }
+                }
+                if (canceled) return;
+            }
+            this.getRoutes(packet.port).forEach(function(route) {
+                const repeated = repeatVia(packet, route.options);
+                if (repeated) {
+                    repeated.port = route.to;
+                    const portKey = route.to + ' ' + key;
+                    if (that.isDuplicate(portKey) || that.pending[portKey]) {
+                        that.log.debug('duplicate %s', portKey);
+                    } else if (that.viscousDelay > 0) {
+                        that.pending[portKey] = {
+                            key: key,
+                            timeout: setTimeout(function() {
+                                delete that.pending[portKey];
+                                that.repeat(repeated, portKey, packet);
+                            }, that.viscousDelay),
+                        };
+                    } else {
+                        that.repeat(repeated, portKey, packet);
+                    }
+                }
+            });
+        } catch(err) {
+            this.emit('error', err);
+        }
+    }
+
+    isDuplicate(portKey) {
+        const now = Date.now();
+        for (const k in this.transmitted) {
+            if (now - this.transmitted[k] >= this.duplicateTime) {
+                delete this.transmitted[k];
+            }
+        }
+        return this.transmitted[portKey] != null;
+    }
+
+    repeat(packet, portKey, original) {
+        if (!this.socket) return;
+        this.transmitted[portKey] = Date.now();
+        this.log.trace('repeat %j', packet);
+        const that = this;
+        this.socket.write(packet, function(err) {
+            if (err) that.emit('error', err);
+        });
+        this.emit('repeat', packet, original);
+    }
+} // Digipeater
+
+exports.digipeat = digipeat;
+exports.Digipeater = Digipeater;
@@ -4,6 +4,7 @@ const Stream = require('stream');
 
 const DefaultFrameLength = 128;
 const HeaderLength = 36;
+const EmptyBuffer = Buffer.alloc(0);
 const NoPID = 0xF0;
 
 const LogNothing = {
@@ -24,7 +25,7 @@ uTypes[0x07] = 'SABM';
 uTypes[0x08] = 'DISC';
 uTypes[0x03] = 'DM';
 uTypes[0x0C] = 'UA';
-uTypes[0x10] = 'FRMR';
+uTypes[0x11] = 'FRMR';
 uTypes[0x00] = 'UI';
 uTypes[0x17] = 'XID';
 uTypes[0x1C] = 'TEST';
@@ -42,7 +43,7 @@ const controlBits = {
     FRMR: 0x87,
     UI: 0x03,
     XID: 0xAF,
-    TEST: 0xC3,
+    TEST: 0xE3,
 };
 
 const ERR_BUFFER_OUT_OF_BOUNDS = 'ERR_BUFFER_OUT_OF_BOUNDS';
@@ -120,6 +121,14 @@ function validatePath(path) {
     return via;
 }
 
+function validateModulo(modulo) {
+    if (modulo == null) return 8;
+    if (modulo != 8 && modulo != 128) {
+        throw newRangeError(`The modulo ${modulo} is neither 8 nor 128.`);
+    }
+    return modulo;
+}
+
 function validatePort(port) {
     if (port == null) throw newError(`The TNC port number is "${port}".`, ERR_INVALID_ARG_VALUE);
     var result = (typeof port) == 'string' ? parseInt(port) : port;
@@ -199,10 +208,16 @@ function toFrame(from, encoding) {
     return frame;
 }
 
+/** Encode a call sign into 7 octets of an address field.
+    An asterisk at the end of call sets the H bit (has been repeated).
+    The reserved bits are set to 1 and the extension bit to 0.
+*/
 function encodeCallSign(buffer, start, call) {
     if (start + 7 > buffer.length) throw newRangeError(
         "There's no room for a call sign at offset " + start
             + " in " + hexBuffer(buffer));
+    const repeated = call.endsWith('*');
+    if (repeated) call = call.substring(0, call.length - 1);
     const parts = call.split('-');
     const base = parts[0];
     const ssid = parts[1] ? parseInt(parts[1]) : 0;
@@ -211,7 +226,7 @@ function encodeCallSign(buffer, start, call) {
         var c = (b >= base.length) ? 0x20 : base.charCodeAt(b) & 0x7F;
         buffer[start + b] = (c << 1);
     }
-    buffer[start + 6] = ssid << 1;
+    buffer[start + 6] = (repeated ? 0x80 : 0) | 0x60 | ((ssid & 0xF) << 1);
 }
 
 function decodeCallSign(buffer, start) {
@@ -231,15 +246,220 @@ function decodeCallSign(buffer, start) {
     return call;
 }
 
-/** Transform an object to a binary AX.25 packet. */
+/* XID parameters, from AX.25 version 2.2 section 4.3.3.7.
+   The bit flags are listed in order of transmission: the first
+   octet of a parameter value is the first element of its array.
+*/
+const XIDFormatIndicator = 0x82;
+const XIDGroupIdentifier = 0x80;
+const XIDClassesOfProcedures = [
+    {balancedABM: 0x01, halfDuplex: 0x20, fullDuplex: 0x40},
+    {},
+];
+const XIDOptionalFunctions = [
+    {REJ: 0x02, SREJ: 0x04, extendedAddress: 0x80},
+    {modulo8: 0x04, modulo128: 0x08, TEST: 0x20, FCS16: 0x80},
+    {synchronousTx: 0x02, multiSREJ: 0x20, segmenter: 0x40},
+];
+const XIDParameters = {
+    classesOfProcedures: {PI: 2, flags: XIDClassesOfProcedures},
+    optionalFunctions: {PI: 3, flags: XIDOptionalFunctions},
+    IFieldLengthRx: {PI: 6, length: 2, scale: 8}, // N1 in bytes, transmitted in bits
+    windowSizeRx: {PI: 8, length: 1}, // k
+    ackTimer: {PI: 9, length: 2}, // T1 in msec
+    retries: {PI: 10, length: 1}, // N2
+};
+
+function encodeXIDValue(parameter, value) {
+    if (parameter.flags) {
+        return Buffer.from(parameter.flags.map(function(bits) {
+            var octet = 0;
+            for (const name in bits) {
+                if (value[name]) octet |= bits[name];
+            }
+            return octet;
+        }));
+    }
+    var n = Math.round(value * (parameter.scale || 1));
+    if (!(n >= 0)) throw newRangeError(`XID value ${value} isn't a positive number.`);
+    const octets = [];
+    for (; n > 0 || octets.length < parameter.length; n = Math.floor(n / 256)) {
+        octets.unshift(n & 0xFF);
+    }
+    return Buffer.from(octets);
+}
+
+function decodeXIDValue(parameter, PV) {
+    if (parameter.flags) {
+        const value = {};
+        parameter.flags.forEach(function(bits, index) {
+            for (const name in bits) {
+                value[name] = (index < PV.length) && ((PV[index] & bits[name]) != 0);
+            }
+        });
+        return value;
+    }
+    var n = 0;
+    for (var v = 0; v < PV.length; ++v) {
+        n = (n * 256) + PV[v];
+    }
+    return n / (parameter.scale || 1);
+}
+
+/** Transform an object to the information field of an XID packet. */
+function encodeXID(xid) {
+    const parts = [];
+    for (const name in XIDParameters) {
+        if (xid[name] != null) {
+            const PV = encodeXIDValue(XIDParameters[name], xid[name]);
+            parts.push(Buffer.from([XIDParameters[name].PI, PV.length]), PV);
+        }
+    }
+    (xid.other || []).forEach(function(parameter) {
+        parts.push(Buffer.from([parameter.PI, parameter.PV.length]), parameter.PV);
+    });
+    const group = Buffer.concat(parts);
+    if (group.length > 0xFFFF) {
+        throw newRangeError(`XID group length ${group.length} > ${0xFFFF}`);
+    }
+    const header = Buffer.from([XIDFormatIndicator, XIDGroupIdentifier, 0, 0]);
+    header.writeUInt16BE(group.length, 2);
+    return Buffer.concat([header, group]);
+}
+
+/** Transform the information field of an XID packet to an object,
+    or return undefined if the information isn't formatted as expected.
+*/
+function decodeXID(info) {
+    if (!(info && info.length >= 4
+          && info[0] == XIDFormatIndicator
+          && info[1] == XIDGroupIdentifier)) {
+        return undefined;
+    }
+    const end = 4 + info.readUInt16BE(2);
+    if (end > info.length) return undefined;
+    const xid = {};
+    for (var next = 4; next < end; ) {
+        if (next + 2 > end) return undefined;
+        const PI = info[next++];
+        const PL = info[next++];
+        if (next + PL > end) return undefined;
+        const PV = copyBuffer(info, next, next + PL);
+        next += PL;
+        var name = null;
+        for (const n in XIDParameters) {
+            if (XIDParameters[n].PI == PI) name = n;
+        }
+        if (name) {
+            xid[name] = decodeXIDValue(XIDParameters[name], PV);
+        } else {
+            if (!xid.other) xid.other = [];
+            xid.other.push({PI: PI, PV: PV});
+        }
+    }
+    return xid;
+}
+
+const FRMRReasons = {
+    W: 'invalid control field',
+    X: 'information not permitted',
+    Y: 'information too long',
+    Z: 'invalid N(R)',
+};
+
+/** Transform an object to the information field of an FRMR packet.
+    If frmr.modulo == 128, the rejected control field is two octets.
+*/
+function encodeFRMR(frmr) {
+    const extended = validateModulo(frmr.modulo) == 128;
+    const control = frmr.control || 0;
+    const VS = frmr.VS || 0;
+    const VR = frmr.VR || 0;
+    const info = Buffer.alloc(extended ? 5 : 3);
+    var next = 0;
+    info[next++] = control & 0xFF;
+    if (extended) {
+        info[next++] = (control >> 8) & 0xFF;
+        info[next++] = (VS & 0x7F) << 1;
+        info[next++] = ((VR & 0x7F) << 1) | (frmr.response ? 1 : 0);
+    } else {
+        info[next++] = ((VR & 7) << 5) | (frmr.response ? 0x10 : 0) | ((VS & 7) << 1);
+    }
+    info[next] = (frmr.W ? 1 : 0) | (frmr.X ? 2 : 0) | (frmr.Y ? 4 : 0) | (frmr.Z ? 8 : 0);
+    return info;
+}
+
+/** Transform the information field of an FRMR packet to an object,
+    or return undefined if the information isn't formatted as expected.
+*/
+function decodeFRMR(info) {
+    if (!info) return undefined;
+    var frmr, reasons;
+    switch(info.length) {
+    case 3:
+        frmr = {
+            control: info[0],
+            VS: (info[1] >> 1) & 7,
+            VR: (info[1] >> 5) & 7,
+        };
+        if (info[1] & 0x10) frmr.response = true;
+        reasons = info[2];
+        break;
+    case 5:
+        frmr = {
+            modulo: 128,
+            control: info[0] | (info[1] << 8),
+            VS: info[2] >> 1,
+            VR: info[3] >> 1,
+        };
+        if (info[3] & 1) frmr.response = true;
+        reasons = info[4];
+        break;
+    default:
+        return undefined;
+    }
+    ['W', 'X', 'Y', 'Z'].forEach(function(reason, index) {
+        if (reasons & (1 << index)) frmr[reason] = true;
+    });
+    return frmr;
+}
+
+/** Describe the contents of an FRMR packet, in a form that's meant for humans. */
+function describeFRMR(frmr) {
+    const reasons = [];
+    for (const reason in FRMRReasons) {
+        if (frmr[reason]) reasons.push(FRMRReasons[reason]);
+    }
+    return (reasons.length ? reasons.join(', ') : 'unknown reason')
+        + ' (rejected ' + (frmr.response ? 'response' : 'command')
+        + ' control ' + (frmr.modulo == 128
+                         ? hexByte(frmr.control & 0xFF) + ' ' + hexByte(frmr.control >> 8)
+                         : hexByte(frmr.control))
+        + ', V(S)=' + frmr.VS
+        + ', V(R)=' + frmr.VR + ')';
+}
+
+function isIorS(type) {
+    return type == 'I' || sTypes.indexOf(type) >= 0;
+}
+
+/** Transform an object to a binary AX.25 packet.
+    If packet.modulo == 128, an I or S packet has a two-octet control field
+    (as used in a link that was started with SABME).
+*/
 function encodePacket(packet) {
     validatePort(packet.port);
+    const modulo = validateModulo(packet.modulo);
+    const extended = (modulo == 128) && isIorS(packet.type);
     validateCallSign('destination', packet.toAddress);
     validateCallSign('source', packet.fromAddress);
     if (packet.info && !Buffer.isBuffer(packet.info)) {
         throw newTypeError(
             `Packet.info must be a Buffer (not ${typeof packet.info}).`);
     }
+    const info = (packet.type == 'XID' && packet.xid) ? encodeXID(packet.xid)
+          : (packet.type == 'FRMR' && packet.frmr) ? encodeFRMR(packet.frmr)
+          : packet.info;
     if (packet.P && packet.F) {
         throw newError('Packet contains both P[oll] and F[inal].',
                        ERR_INVALID_ARG_VALUE);
@@ -252,15 +472,15 @@ function encodePacket(packet) {
           : Array.isArray(packet.via) ? packet.via
           : ('' + packet.via).trim().split(/[\s,]+/);
     via.forEach(function(repeater) {
-        validateCallSign('repeater', repeater);
+        validateCallSign('repeater', repeater.replace(/\*$/, ''));
     });
     const hasPID = (packet.type == 'I' || packet.type == 'UI');
     const buffer = Buffer.alloc(
         14 // source and destination addresses
             + (via.length * 7) // repeater addresses
-            + 1 // control field
+            + (extended ? 2 : 1) // control field
             + (hasPID ? 1 : 0) // PID
-            + (packet.info ? packet.info.length : 0)
+            + (info ? info.length : 0)
     );
     encodeCallSign(buffer, 0, packet.toAddress);
     encodeCallSign(buffer, 7, packet.fromAddress);
@@ -274,8 +494,9 @@ function encodePacket(packet) {
         encodeCallSign(buffer, next, repeater);
         next += 7;
     });
-    buffer[next - 1] += 1; // end of addresses
+    buffer[next - 1] |= 1; // end of addresses
     var control = controlBits[packet.type] || 0;
+    var control2 = null; // the second octet of a modulo 128 control field
     switch(packet.type) {
     case 'SABME':
     case 'SABM':
@@ -288,18 +509,33 @@ function encodePacket(packet) {
     case 'FRMR':
         if (packet.F) control += 0x10;
         break;
+    case 'XID':
+        if (packet.P || packet.F) control += 0x10;
+        break;
     case 'RR':
     case 'RNR':
     case 'REJ':
     case 'SREJ':
-        if (packet.NR != null) control += (packet.NR & 7) << 5;
+        if (extended) {
+            control2 = ((packet.NR || 0) & 0x7F) << 1;
+            if (packet.P || packet.F) control2 += 1;
+        } else {
+            if (packet.NR != null) control += (packet.NR & 7) << 5;
+            if (packet.P || packet.F) control += 0x10;
+        }
         if (packet.P) {
-            buffer[6] += 0x80;
+            buffer[6] |= 0x80;
         } else if (packet.F) {
-            buffer[13] += 0x80;
+            buffer[13] |= 0x80;
         }
         break;
     case 'I':
+        if (extended) {
+            control2 = ((packet.NR || 0) & 0x7F) << 1;
+            if (packet.P) control2 += 1;
+            if (packet.NS != null) control += (packet.NS & 0x7F) << 1;
+            break;
+        }
         if (packet.P) control += 0x10;
         if (packet.NR != null) control += (packet.NR & 7) << 5;
         if (packet.NS != null) control += (packet.NS & 7) << 1;
@@ -307,17 +543,24 @@ function encodePacket(packet) {
     default:
     }
     buffer[next++] = control;
+    if (control2 != null) buffer[next++] = control2;
     if (hasPID) {
         buffer[next++] = (packet.PID != null) ? packet.PID : NoPID;
     }
-    if (packet.info) {
-        packet.info.copy(buffer, next);
+    if (info) {
+        info.copy(buffer, next);
     }
     return buffer;
 }
 
-/** Transform a binary AX.25 packet to an object. */
-function decodePacket(buffer) {
+/** Transform a binary AX.25 packet to an object.
+    The modulo parameter tells how to decode the control field of an I or S packet.
+    It's either a number (8 or 128) or a function that returns such a number,
+    given a partially decoded packet (with addresses only).
+    For example, a function could return 128 for a link that was started with SABME.
+    The default is 8.
+*/
+function decodePacket(buffer, modulo) {
     const result = {};
     var next = 0;
     result.toAddress = decodeCallSign(buffer, 0);
@@ -339,19 +582,36 @@ function decodePacket(buffer) {
         'No control field in ' + hexBuffer(buffer), ERR_BUFFER_OUT_OF_BOUNDS);
     const control = buffer[next++];
     var type = (control & 1) == 0 ? 'I' : (control & 2) == 0 ? 'S' : 'U';
-    switch(type) {
-    case 'U':
-        type = uTypes[((control & 0xE0) >> 3) + ((control >> 2) & 3)];
-        break;
-    case 'S':
-        type = sTypes[(control >> 2) & 3];
-        result.NR = (control >> 5);
-        break;
-    case 'I':
-        result.NR = (control >> 5);
-        result.NS = (control >> 1) & 7;
-        break;
-    default:
+    var PF = (control >> 4) & 1; // the Poll/Final bit
+    if (type != 'U' && validateModulo(
+        (typeof modulo) == 'function' ? modulo(result) : modulo) == 128) {
+        if (next >= buffer.length) throw newError(
+            'No second control octet in ' + hexBuffer(buffer),
+            ERR_BUFFER_OUT_OF_BOUNDS);
+        const control2 = buffer[next++];
+        result.modulo = 128;
+        result.NR = (control2 >> 1);
+        PF = control2 & 1;
+        if (type == 'I') {
+            result.NS = (control >> 1);
+        } else {
+            type = sTypes[(control >> 2) & 3];
+        }
+    } else {
+        switch(type) {
+        case 'U':
+            type = uTypes[((control & 0xE0) >> 3) + ((control >> 2) & 3)];
+            break;
+        case 'S':
+            type = sTypes[(control >> 2) & 3];
+            result.NR = (control >> 5);
+            break;
+        case 'I':
+            result.NR = (control >> 5);
+            result.NS = (control >> 1) & 7;
+            break;
+        default:
+        }
     }
     switch(type) {
     case 'I':
@@ -375,7 +635,7 @@ function decodePacket(buffer) {
         }
     default:
     }
-    if ((control >> 4) & 1) { // the Poll/Final bit
+    if (PF) {
         switch(type) {
         case 'SABM':
         case 'SABME':
@@ -392,6 +652,7 @@ function decodePacket(buffer) {
         case 'RNR':
         case 'REJ':
         case 'SREJ':
+        case 'XID':
             if (result.command) {
                 result.P = true;
             } else {
@@ -404,6 +665,13 @@ function decodePacket(buffer) {
     if (type != null) result.type = type;
     if (next < buffer.length) {
         result.info = copyBuffer(buffer, next);
+        if (type == 'XID') {
+            const xid = decodeXID(result.info);
+            if (xid) result.xid = xid;
+        } else if (type == 'FRMR') {
+            const frmr = decodeFRMR(result.info);
+            if (frmr) result.frmr = frmr;
+        }
     }
     return result;
 }
@@ -550,6 +818,12 @@ class Receiver extends Stream.Writable {
         }
     } // _write
 
+    /** Discard part of a frame, received before the connection to the TNC broke. */
+    reset() {
+        this.headerLength = 0;
+        this.data = null;
+    }
+
     _final(callback) {
         this.log.debug('_final(%s)', typeof callback);
         if (callback) callback();
@@ -621,27 +895,164 @@ function connectFrame(port, callFrom, callTo, via) {
             callFrom: callFrom,
         };
     }
-    const data = Buffer.alloc(1 + (10 * via.length));
-    data[0] = via.length;
-    for (var v = 0; v < via.length; ++v) {
-        data.write(via[v].toUpperCase(), 1 + (10 * v), via[v].length, 'ascii');
-    }
     return {
         dataKind: 'v', // connect via digipeaters
         port: port,
         callTo: callTo,
         callFrom: callFrom,
+        data: encodeViaData(via),
+    };
+}
+
+/** Return the digipeaters in the text of a 'C' frame, for example
+    ['DIGI1', 'DIGI2'] from "*** CONNECTED With Station N0CALL via DIGI1,DIGI2\r".
+*/
+function decodeConnectedPath(data) {
+    const text = (data || EmptyBuffer).toString('binary');
+    const found = /\svia\s+([^\r\n]*)/i.exec(text);
+    if (!found) return [];
+    return found[1].trim().split(/[\s,]+/).filter(function(call) {
+        return call != '';
+    });
+}
+
+/** Return the reason stated in the text of a 'd' frame:
+    'retryout', 'busy' or 'timeout', or null if the text doesn't say.
+    For example, Direwolf says "*** DISCONNECTED RETRYOUT With N0CALL\r"
+    when a link fails, but "*** DISCONNECTED From Station N0CALL\r" otherwise.
+    SoundModem words some messages differently, for example "TIMEOUT" or "BUSY".
+*/
+function decodeDisconnectReason(data) {
+    const text = (data || EmptyBuffer).toString('binary');
+    if (/RETRY\s*OUT/i.test(text)) return 'retryout';
+    if (/\bBUSY\b/i.test(text)) return 'busy';
+    if (/TIME[D\s]*OUT/i.test(text)) return 'timeout';
+    return null;
+}
+
+/** Return the path to reply to a packet that was received via the given digipeaters,
+    that is the same digipeaters in reverse order, without '*' marks.
+*/
+function reversePath(via) {
+    return validatePath(via).map(function(call) {
+        return call.replace(/\*$/, '');
+    }).reverse();
+}
+
+/** Construct a frame to send UNPROTO data (in a UI packet). */
+function unprotoFrame(port, callFrom, callTo, via, PID, data) {
+    const frame = {
+        dataKind: 'M', // UNPROTO
+        port: port,
+        callTo: callTo,
+        callFrom: callFrom,
         data: data,
     };
+    if (PID != null) frame.PID = PID;
+    if (via && via.length > 0) {
+        frame.dataKind = 'V'; // UNPROTO via digipeaters
+        frame.data = encodeViaData(via, data);
+    }
+    return frame;
+}
+
+/** Encode the data of an AGWPE 'v' or 'V' frame. */
+function encodeViaData(via, data) {
+    const dataLength = data ? data.length : 0;
+    const result = Buffer.alloc(1 + (10 * via.length) + dataLength);
+    result[0] = via.length;
+    for (var v = 0; v < via.length; ++v) {
+        result.write(via[v].toUpperCase(), 1 + (10 * v), via[v].length, 'ascii');
+    }
+    if (dataLength) data.copy(result, 1 + (10 * via.length));
+    return result;
+}
+
+/** Decode the data of an AGWPE 'v' or 'V' frame, which start with
+    the number of digipeaters and their call signs.
+*/
+function decodeViaData(data) {
+    const count = (data && data.length > 0) ? data[0] : 0;
+    const via = [];
+    for (var v = 0; v < count; ++v) {
+        const start = 1 + (10 * v);
+        via.push(getASCII(data, start));
+    }
+    return {
+        via: via,
+        data: data ? data.slice(1 + (10 * count)) : Buffer.alloc(0),
+    };
+}
+
+const MonitorHeader = new RegExp(
+    '^\\s*\\d+:Fm (\\S+) To (\\S+)(?: Via (\\S+))? <([^>]*)>'
+        + '(?:\\[(\\d+):(\\d+):(\\d+)\\])?\\r?');
+
+/** Decode the text of an AGWPE monitor frame ('U', 'I', 'S' or 'T'), for example
+    " 1:Fm N0CALL To APRS Via WIDE2-1 <UI pid=F0 Len=5 >[13:45:07]\rhello\r".
+    Return a packet, with direction 'tx' (for a 'T' frame) or 'rx',
+    and timestamp: the time of day when the TNC sent or received it.
+    Return null if the text isn't recognized.
+*/
+function decodeMonitorFrame(frame, now) {
+    const text = (frame.data || EmptyBuffer).toString('binary');
+    const found = MonitorHeader.exec(text);
+    if (!found) return null;
+    const packet = {
+        port: frame.port || 0,
+        direction: (frame.dataKind == 'T') ? 'tx' : 'rx',
+        fromAddress: found[1],
+        toAddress: found[2],
+        via: found[3] ? found[3].split(',') : [],
+    };
+    var length = null;
+    found[4].trim().split(/\s+/).forEach(function(field, f) {
+        var parts;
+        if (f == 0) {
+            packet.type = field;
+        } else if (field == 'P' || field == 'F') {
+            packet[field] = true;
+        } else if ((parts = /^([RS])(\d+)$/.exec(field))) {
+            packet[(parts[1] == 'R') ? 'NR' : 'NS'] = parseInt(parts[2]);
+        } else if ((parts = /^pid=([0-9a-f]+)$/i.exec(field))) {
+            const PID = parseInt(parts[1], 16);
+            if (PID != NoPID) packet.PID = PID; // like decodePacket
+        } else if ((parts = /^Len=(\d+)$/i.exec(field))) {
+            length = parseInt(parts[1]);
+        }
+    });
+    if (found[5] != null) {
+        // The TNC reports only the time of day. Assume it was recent.
+        const when = new Date(now || Date.now());
+        const time = new Date(when.getFullYear(), when.getMonth(), when.getDate(),
+                              parseInt(found[5]), parseInt(found[6]), parseInt(found[7]));
+        if (time - when > 60000) time.setDate(time.getDate() - 1); // before midnight
+        packet.timestamp = time;
+    }
+    if (length != null) {
+        const info = text.substring(found[0].length);
+        packet.info = Buffer.from(info.substring(0, length), 'binary');
+    }
+    return packet;
 }
 
 /** Transform binary AGWPE frames to objects. */
 exports.checkNodeVersion = checkNodeVersion;
 exports.connectFrame = connectFrame;
 exports.copyBuffer = copyBuffer;
+exports.decodeConnectedPath = decodeConnectedPath;
+exports.decodeDisconnectReason = decodeDisconnectReason;
+exports.decodeFRMR = decodeFRMR;
+exports.decodeMonitorFrame = decodeMonitorFrame;
+exports.decodeViaData = decodeViaData;
 exports.decodePacket = decodePacket;
+exports.decodeXID = decodeXID;
 exports.DefaultFrameLength = DefaultFrameLength;
+exports.describeFRMR = describeFRMR;
+exports.encodeFRMR = encodeFRMR;
 exports.encodePacket = encodePacket;
+exports.encodeViaData = encodeViaData;
+exports.encodeXID = encodeXID;
 exports.getDataSummary = getDataSummary;
 exports.getFrameSummary = getFrameSummary;
 exports.getLogger = getLogger;
@@ -653,7 +1064,10 @@ exports.newError = newError;
 exports.newRangeError = newRangeError;
 exports.newTypeError = newTypeError;
 exports.Receiver = Receiver;
+exports.reversePath = reversePath;
 exports.Sender = Sender;
+exports.unprotoFrame = unprotoFrame;
 exports.validateCallSign = validateCallSign;
+exports.validateModulo = validateModulo;
 exports.validatePath = validatePath;
 exports.validatePort = validatePort;
@@ -0,0 +1,140 @@
+'use strict';
+/** Keep track of the stations heard via each TNC port. */
+
+const DefaultMaxStations = 100; // per port
+const SystemTimeLength = 16; // bytes
+
+/** Decode a Windows SYSTEMTIME structure, in local time. */
+function decodeSystemTime(data, offset) {
+    return new Date(
+        data.readUInt16LE(offset), // year
+        data.readUInt16LE(offset + 2) - 1, // month
+        // dayOfWeek is at offset + 4
+        data.readUInt16LE(offset + 6), // day
+        data.readUInt16LE(offset + 8), // hour
+        data.readUInt16LE(offset + 10), // minute
+        data.readUInt16LE(offset + 12), // second
+        data.readUInt16LE(offset + 14)); // millisecond
+}
+
+function encodeSystemTime(date, data, offset) {
+    data.writeUInt16LE(date.getFullYear(), offset);
+    data.writeUInt16LE(date.getMonth() + 1, offset + 2);
+    data.writeUInt16LE(date.getDay(), offset + 4);
+    data.writeUInt16LE(date.getDate(), offset + 6);
+    data.writeUInt16LE(date.getHours(), offset + 8);
+    data.writeUInt16LE(date.getMinutes(), offset + 10);
+    data.writeUInt16LE(date.getSeconds(), offset + 12);
+    data.writeUInt16LE(date.getMilliseconds(), offset + 14);
+}
+
+/** Decode an 'H' frame from AGWPE. The data are text,
+    followed by two SYSTEMTIMEs: when the station was first and last heard.
+    Return null if the frame doesn't describe a station.
+*/
+function decodeHeardFrame(frame) {
+    const data = frame.data;
+    if (!frame.callFrom || !data || data.length < 2 * SystemTimeLength) {
+        return null;
+    }
+    const end = data.length - (2 * SystemTimeLength);
+    return {
+        port: frame.port || 0,
+        call: frame.callFrom,
+        firstHeard: decodeSystemTime(data, end),
+        lastHeard: decodeSystemTime(data, end + SystemTimeLength),
+    };
+}
+
+/** Encode the data of an 'H' frame, as AGWPE would. */
+function encodeHeardData(station) {
+    const text = Buffer.from(`${station.call} ${station.lastHeard.toLocaleString()}\0`, 'binary');
+    const data = Buffer.alloc(text.length + (2 * SystemTimeLength));
+    text.copy(data, 0);
+    encodeSystemTime(station.firstHeard, data, text.length);
+    encodeSystemTime(station.lastHeard, data, text.length + SystemTimeLength);
+    return data;
+}
+
+/** The stations heard via each port, each with a description like
+    {port: 0, call: 'N0CALL', firstHeard: Date, lastHeard: Date, via: ['DIGI*'], packets: 3}.
+    The least recently heard stations are forgotten, to limit the size of the list.
+*/
+class HeardList {
+
+    constructor(options) {
+        this.maxStations = (options && options.maxStations) || DefaultMaxStations;
+        this.ports = {}; // port => call => station
+    }
+
+    /** Record that a packet was received.
+        Return a copy of the station if it wasn't heard before, or else null.
+    */
+    hear(port, packet, date) {
+        const when = date || new Date();
+        const stations = this.getStations(port);
+        const isNew = !stations[packet.fromAddress];
+        const station = this.getStation(stations, port, packet.fromAddress, when);
+        station.lastHeard = when;
+        station.via = packet.via || [];
+        ++station.packets;
+        return isNew ? Object.assign({}, station) : null;
+    }
+
+    /** Merge information from the TNC (for example from an 'H' frame).
+        Return a copy of the station if it wasn't heard before, or else null.
+    */
+    merge(info) {
+        const stations = this.getStations(info.port);
+        const isNew = !stations[info.call];
+        const station = this.getStation(stations, info.port, info.call, info.firstHeard);
+        if (station.firstHeard > info.firstHeard) station.firstHeard = info.firstHeard;
+        if (station.lastHeard < info.lastHeard) station.lastHeard = info.lastHeard;
+        return isNew ? Object.assign({}, station) : null;
+    }
+
+    getStations(port) {
+        return this.ports[port] || (this.ports[port] = {});
+    }
+
+    getStation(stations, port, call, when) {
+        var station = stations[call];
+        if (!station) {
+            station = stations[call] = {
+                port: port,
+                call: call,
+                firstHeard: when,
+                lastHeard: when,
+                via: [],
+                packets: 0,
+            };
+            this.forgetOldest(stations);
+        }
+        return station;
+    }
+
+    forgetOldest(stations) {
+        const calls = Object.keys(stations);
+        if (calls.length > this.maxStations) {
+            var oldest = calls[0];
+            calls.forEach(function(call) {
+                if (stations[call].lastHeard < stations[oldest].lastHeard) oldest = call;
+            });
+            delete stations[oldest];
+        }
+    }
+
+    /** Return the stations heard via a port, most recently heard first. */
+    getList(port) {
+        const stations = this.ports[port] || {};
+        return Object.keys(stations).map(function(call) {
+            return Object.assign({}, stations[call]);
+        }).sort(function(a, b) {
+            return b.lastHeard - a.lastHeard;
+        });
+    }
+} // HeardList
+
+exports.decodeHeardFrame = decodeHeardFrame;
+exports.encodeHeardData = encodeHeardData;
+exports.HeardList = HeardList;
@@ -1,16 +1,28 @@
 'use strict';
+const aprs = require('./aprs.js');
+const beacon = require('./beacon.js');
 const client = require('./client.js');
+const digipeater = require('./digipeater.js');
 const guts = require('./guts.js');
+const messenger = require('./messenger.js');
 const raw = require('./raw.js');
 const server = require('./server.js');
+const simulator = require('./simulator.js');
 
 /** Communicate via AX.25 in the style of node net, using an AGWPE-compatible TNC. */
 
+exports.APRS = aprs;
+exports.APRSMessenger = messenger.APRSMessenger;
+exports.BeaconScheduler = beacon.BeaconScheduler;
+exports.connect = client.connect;
 exports.createConnection = client.createConnection;
+exports.Digipeater = digipeater.Digipeater;
 exports.newError = guts.newError;
 exports.newRangeError = guts.newRangeError;
 exports.newTypeError = guts.newTypeError;
+exports.reversePath = guts.reversePath;
 exports.Server = server.Server;
+exports.Simulator = simulator.Simulator;
 exports.validateCallSign = guts.validateCallSign;
 exports.validatePath = guts.validatePath;
 exports.validatePort = guts.validatePort;
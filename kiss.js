@@ -0,0 +1,373 @@
+'use strict';
+/** Exchange AX.25 packets with a TNC via the KISS protocol, instead of AGWPE. */
+/*
+A KISS TNC merely transmits and receives packets. So the Sender
+and Receiver classes in this module emulate AGWPE, using an
+ax25link.LinkLayer to implement connected mode.
+They can replace guts.Sender and guts.Receiver, like this:
+
+        Net.Socket
+     ----------------
+       |         ^
+       v         |
+    Receiver   Sender
+       |   ^     ^
+       |   |     |
+       |   replies to
+       |   G X y etc.
+       |   |     |
+       |  LinkLayer
+       |   ^     |
+       +---+     |
+       C D d Y etc.
+
+An AGWPE 'K' frame contains a KISS frame (without FENDs),
+so raw packets are simply escaped and unescaped.
+*/
+
+const AX25 = require('./ax25link.js');
+const guts = require('./guts.js');
+const process = require('process');
+const Stream = require('stream');
+
+const FEND = 0xC0;
+const FESC = 0xDB;
+const TFEND = 0xDC;
+const TFESC = 0xDD;
+
+/** KISS command codes (the low nibble of the first octet of a frame). */
+const Commands = {
+    data: 0,
+    txDelay: 1,
+    persistence: 2,
+    slotTime: 3,
+    txTail: 4,
+    fullDuplex: 5,
+    setHardware: 6,
+};
+const MaxPorts = 16;
+const MinPacketLength = 15; // two addresses and a control field
+
+/** Encode one KISS frame, including FENDs and escapes. */
+function encodeFrame(data) {
+    var length = 2;
+    for (var d = 0; d < data.length; ++d) {
+        length += (data[d] == FEND || data[d] == FESC) ? 2 : 1;
+    }
+    const frame = Buffer.alloc(length);
+    var f = 0;
+    frame[f++] = FEND;
+    for (var d = 0; d < data.length; ++d) {
+        switch(data[d]) {
+        case FEND:
+            frame[f++] = FESC;
+            frame[f++] = TFEND;
+            break;
+        case FESC:
+            frame[f++] = FESC;
+            frame[f++] = TFESC;
+            break;
+        default:
+            frame[f++] = data[d];
+        }
+    }
+    frame[f++] = FEND;
+    return frame;
+}
+
+/** Encode a KISS command to set a TNC parameter. */
+function encodeCommand(port, name, value) {
+    const command = Commands[name];
+    if (command == null || command == Commands.data) {
+        throw guts.newError(`The KISS command ${name} is unknown.`, 'ERR_INVALID_ARG_VALUE');
+    }
+    if (!(value >= 0 && value <= 255)) {
+        throw guts.newRangeError(`The KISS ${name} ${value} is outside the range 0..255.`);
+    }
+    return encodeFrame(Buffer.from([(validateKissPort(port) << 4) | command, value]));
+}
+
+/** Encode KISS commands to set several TNC parameters of one port.
+    parameters is like {txDelay: 30, persistence: 63, slotTime: 10}.
+    txDelay, slotTime and txTail are in units of 10 msec.
+    fullDuplex is a boolean.
+*/
+function encodeParameters(port, parameters) {
+    const frames = [];
+    for (const name in parameters) {
+        var value = parameters[name];
+        if (name == 'fullDuplex') value = value ? 1 : 0;
+        if (value != null) frames.push(encodeCommand(port, name, value));
+    }
+    return Buffer.concat(frames);
+}
+
+function validateKissPort(port) {
+    const result = guts.validatePort(port);
+    if (result >= MaxPorts) {
+        throw guts.newRangeError(`The KISS port ${port} is outside the range 0..${MaxPorts - 1}.`);
+    }
+    return result;
+}
+
+/** Transform a stream of bytes from a KISS TNC into AGWPE frames,
+    which are passed to this.client.onFrameFromAGW.
+*/
+class Receiver extends Stream.Writable {
+
+    constructor(options) {
+        super({
+            objectMode: false,
+            highWaterMark: guts.HeaderLength +
+                ((options && options.frameLength) || guts.DefaultFrameLength), // bytes
+        });
+        this.log = guts.getLogger(options, this);
+        this.log.trace('new %j', Object.assign({}, options, {logger: undefined}));
+        this.data = []; // the unescaped octets of the current frame
+        this.isEscaped = false;
+        const that = this;
+        this.on('pipe', function(from) {
+            that.log.trace('pipe from %s', from.constructor.name);
+        });
+        this.on('unpipe', function(from) {
+            that.log.trace('unpipe from %s', from.constructor.name);
+        });
+    }
+
+    _write(chunk, encoding, afterTransform) {
+        try {
+            this.log.trace('_write %d', chunk.length);
+            if (!Buffer.isBuffer(chunk)) {
+                throw guts.newTypeError(`Receiver._write chunk isn't a Buffer`);
+            }
+            for (var c = 0; c < chunk.length; ++c) {
+                const octet = chunk[c];
+                if (octet == FEND) {
+                    if (this.data.length > 0) {
+                        const data = Buffer.from(this.data);
+                        this.data = [];
+                        this.onKissFrame(data);
+                    }
+                    this.isEscaped = false;
+                } else if (this.isEscaped) {
+                    this.data.push((octet == TFEND) ? FEND : (octet == TFESC) ? FESC : octet);
+                    this.isEscaped = false;
+                } else if (octet == FESC) {
+                    this.isEscaped = true;
+                } else {
+                    this.data.push(octet);
+                }
+            }
+            afterTransform();
+        } catch(err) {
+            this.emit('error', err);
+            afterTransform(err);
+        }
+    }
+
+    /** Discard part of a frame, received before the connection to the TNC broke. */
+    reset() {
+        this.data = [];
+        this.isEscaped = false;
+    }
+
+    onKissFrame(data) {
+        const port = data[0] >> 4;
+        const command = data[0] & 0x0F;
+        if (command != Commands.data) {
+            this.log.debug('ignore KISS command %d port %d', command, port);
+        } else if (data.length < 1 + MinPacketLength) {
+            this.log.debug('ignore KISS frame %s', guts.hexBuffer(data));
+        } else {
+            this.reply({
+                port: port,
+                dataKind: 'K',
+                data: data,
+            });
+            if (this.linkLayer) {
+                try {
+                    const packet = guts.decodePacket(data.slice(1));
+                    packet.port = port;
+                    this.linkLayer.onPacket(packet);
+                } catch(err) {
+                    this.log.debug(err);
+                }
+            }
+        }
+    }
+
+    /** Pass a frame to the client, as though it came from an AGWPE TNC. */
+    reply(frame) {
+        if (this.log.debug()) {
+            this.log.debug('< %s', guts.getFrameSummary(frame));
+        }
+        this.client.onFrameFromAGW(frame);
+    }
+
+    _final(callback) {
+        this.log.debug('_final(%s)', typeof callback);
+        if (callback) callback();
+    }
+} // Receiver
+
+/** Transform AGWPE frames (objects) to a stream of bytes to a KISS TNC.
+    Frames that a KISS TNC can't handle are answered by passing
+    replies to receiver, as an AGWPE TNC would.
+    Connected mode is implemented by this.linkLayer.
+*/
+class Sender extends guts.Sender {
+
+    constructor(options, receiver) {
+        super(options);
+        this.receiver = receiver;
+        this.numberOfPorts = (options && options.kissPorts) || 1;
+        this.parameters = (options && options.kissParameters) || {};
+        if (!(this.numberOfPorts > 0 && this.numberOfPorts <= MaxPorts)) {
+            throw guts.newRangeError(
+                `options.kissPorts ${this.numberOfPorts} is outside the range 1..${MaxPorts}.`);
+        }
+        const that = this;
+        this.linkLayer = new AX25.LinkLayer(options, function toTNC(packet) {
+            that.push(encodeFrame(that.encodePacket(packet)));
+        }, function toClient(frame) {
+            that.reply(frame);
+        });
+        receiver.linkLayer = this.linkLayer;
+        this.on('end', function() {
+            that.linkLayer.close();
+        });
+    }
+
+    /** Send KISS commands to set parameters of one port, for example
+        {txDelay: 30, persistence: 63, slotTime: 10, txTail: 1, fullDuplex: false}.
+    */
+    setParameters(port, parameters) {
+        this.push(encodeParameters(port, parameters));
+    }
+
+    _transform(chunk, encoding, callback) {
+        if ((typeof chunk) != 'object') {
+            this.log.debug('_transform(%j, %s, %s)', chunk, encoding, callback);
+            if (callback) callback(guts.newTypeError(`Sender._transform(${typeof chunk} ${chunk})`));
+            return;
+        }
+        try {
+            if (this.log.debug()) {
+                this.log.debug('> %s', guts.getFrameSummary(chunk));
+            }
+            const data = this.toKiss(chunk, encoding);
+            if (data) this.push(data);
+            if (callback) callback();
+        } catch(err) {
+            this.log.debug(err);
+            if (callback) callback(err);
+        }
+    }
+
+    /** Return the bytes to send to the TNC, or null. */
+    toKiss(frame, encoding) {
+        if (this.linkLayer.onFrameFromClient(frame)) {
+            return null; // connected mode
+        }
+        switch(frame.dataKind) {
+        case 'K': // raw AX.25 data
+            // Like a KISS frame, the first octet contains the port number.
+            return encodeFrame(this.getData(frame, encoding));
+        case 'M': // UNPROTO
+        case 'V': // UNPROTO VIA
+            return encodeFrame(this.encodeUnproto(frame, encoding));
+        case 'G': // available ports
+            const ports = [];
+            for (var p = 0; p < this.numberOfPorts; ++p) {
+                ports.push(`Port${p + 1} KISS;`);
+            }
+            this.reply({dataKind: 'G', data: `${this.numberOfPorts};` + ports.join('')});
+            var commands = [];
+            for (var p = 0; p < this.numberOfPorts; ++p) {
+                commands.push(encodeParameters(p, this.parameters));
+            }
+            return Buffer.concat(commands);
+        case 'X': // register a call sign
+            this.linkLayer.register(frame.port || 0, frame.callFrom);
+            this.reply({
+                dataKind: 'X',
+                port: frame.port,
+                callFrom: frame.callFrom,
+                data: Buffer.from([1]), // success
+            });
+            return null;
+        case 'x': // unregister a call sign
+            this.linkLayer.unregister(frame.port || 0, frame.callFrom);
+            return null;
+        case 'y': // frames waiting to be transmitted by a port
+            const inFlight = Buffer.alloc(4);
+            inFlight.writeUInt32LE(0, 0); // The KISS TNC doesn't say.
+            this.reply({
+                dataKind: frame.dataKind,
+                port: frame.port,
+                callFrom: frame.callFrom,
+                callTo: frame.callTo,
+                data: inFlight,
+            });
+            return null;
+        default: // g, k, m, etc.
+            this.log.debug('ignore %s', guts.getFrameSummary(frame));
+            return null;
+        }
+    }
+
+    getData(frame, encoding) {
+        const data = frame.data || Buffer.alloc(0);
+        return ((typeof data) == 'string')
+            ? Buffer.from(data, encoding || 'utf-8')
+            : data;
+    }
+
+    /** Encode the KISS frame for an AGWPE 'M' or 'V' frame. */
+    encodeUnproto(frame, encoding) {
+        var info = this.getData(frame, encoding);
+        var via = [];
+        if (frame.dataKind == 'V') {
+            const decoded = guts.decodeViaData(info);
+            via = decoded.via;
+            info = decoded.data;
+        }
+        return this.encodePacket({
+            port: frame.port || 0,
+            type: 'UI',
+            command: true,
+            toAddress: frame.callTo,
+            fromAddress: frame.callFrom,
+            via: via,
+            PID: frame.PID,
+            info: info,
+        });
+    }
+
+    /** Encode the data of a KISS frame that contains an AX.25 packet. */
+    encodePacket(packet) {
+        const encoded = guts.encodePacket(packet);
+        const data = Buffer.alloc(encoded.length + 1);
+        data[0] = validateKissPort(packet.port) << 4;
+        encoded.copy(data, 1);
+        return data;
+    }
+
+    reply(frame) {
+        const that = this;
+        process.nextTick(function() {
+            that.receiver.reply(Object.assign({port: 0}, frame, {
+                data: ((typeof frame.data) == 'string')
+                    ? Buffer.from(frame.data, 'latin1')
+                    : frame.data || Buffer.alloc(0),
+            }));
+        });
+    }
+} // Sender
+
+exports.Commands = Commands;
+exports.encodeCommand = encodeCommand;
+exports.encodeFrame = encodeFrame;
+exports.encodeParameters = encodeParameters;
+exports.Receiver = Receiver;
+exports.Sender = Sender;
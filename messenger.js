@@ -0,0 +1,239 @@
+'use strict';
+/** Exchange APRS messages via a RawSocket. */
+
+const APRS = require('./aprs.js');
+const EventEmitter = require('events');
+const guts = require('./guts.js');
+
+const DefaultDuplicateTime = 30000; // msec
+const DefaultMaxRetries = 5;
+const DefaultRetryInterval = 30000; // msec
+const MaxRetryInterval = 10 * 60 * 1000; // msec
+const MaxMessageLength = 67;
+
+function normalizeCall(call) {
+    return (call || '').toUpperCase().replace(/-0$/, '');
+}
+
+/** Sends and receives APRS messages. Outgoing messages are numbered and
+    retransmitted until they're acknowledged or rejected. Incoming numbered
+    messages are acknowledged. The 'message' event is emitted once for
+    each incoming message, after it's been acknowledged.
+*/
+class APRSMessenger extends EventEmitter {
+
+    constructor(options, server) {
+        super();
+        this.log = guts.getLogger(server.options, this);
+        this.log.debug('new(%j, %s)', options, server.constructor.name);
+        this.server = server;
+        this.options = options;
+        this.myCall = normalizeCall(guts.validateCallSign('local', options.myCall));
+        this.port = guts.validatePort(options.port || 0);
+        this.via = guts.validatePath(options.via);
+        this.toAddress = options.toAddress;
+        this.replyAck = !!options.replyAck;
+        this.retryInterval = options.retryInterval || DefaultRetryInterval;
+        this.maxRetries = (options.maxRetries != null) ? options.maxRetries : DefaultMaxRetries;
+        this.duplicateTime = (options.duplicateTime != null)
+            ? options.duplicateTime : DefaultDuplicateTime;
+        this.nextID = 1;
+        this.pending = {}; // remote call and id => outgoing message
+        this.received = {}; // key => time when an incoming message was received
+        this.replyAcks = {}; // remote call => id of the last message received from it
+    }
+
+    bind(callback) {
+        this.log.debug('bind(%s)', typeof callback);
+        const that = this;
+        this.socket = this.server.createSocket(this.options);
+        this.socket.on('error', function(err) {
+            that.emit('error', err);
+        });
+        this.socket.on('close', function() {
+            that.close();
+        });
+        this.socket.on('data', function(packet) {
+            that.onPacket(packet);
+        });
+        this.socket.bind(callback);
+    }
+
+    /** Transmit a message, and return a Promise that's resolved when
+        the message is acknowledged. The Promise is rejected if the message
+        is rejected ('ECONNREFUSED') or not acknowledged after several
+        retries ('ETIMEDOUT').
+    */
+    sendMessage(to, text) {
+        const that = this;
+        return new Promise(function(resolve, reject) {
+            if (!that.socket) {
+                throw guts.newError('The messenger is not bound.', 'ERR_SOCKET_DGRAM_NOT_RUNNING');
+            }
+            const addressee = normalizeCall(('' + to).trim());
+            if (!addressee || addressee.length > 9) {
+                throw guts.newError(`The addressee "${to}" is empty or longer than 9 characters.`,
+                                    'ERR_INVALID_ARG_VALUE');
+            }
+            if (text.length > MaxMessageLength) {
+                throw guts.newRangeError(
+                    `The message is too long. The limit is ${MaxMessageLength} characters.`);
+            }
+            if (/[|~{]/.test(text)) {
+                throw guts.newError(`The message contains |, ~ or {.`, 'ERR_INVALID_ARG_VALUE');
+            }
+            const id = that.newID();
+            const message = {
+                type: 'message',
+                addressee: addressee,
+                text: text,
+                id: id,
+                resolve: resolve,
+                reject: reject,
+                retries: 0,
+            };
+            if (that.replyAck) {
+                message.replyAckCapable = true;
+                if (that.replyAcks[addressee]) {
+                    message.replyAck = that.replyAcks[addressee];
+                    delete that.replyAcks[addressee];
+                }
+            }
+            that.pending[addressee + ' ' + id] = message;
+            that.transmit(message);
+        });
+    }
+
+    newID() {
+        const n = this.nextID;
+        if (this.replyAck) {
+            this.nextID = (n % (36 * 36 - 1)) + 1;
+            return ('0' + n.toString(36).toUpperCase()).slice(-2);
+        } else {
+            this.nextID = (n % 99999) + 1;
+            return '' + n;
+        }
+    }
+
+    transmit(message) {
+        const that = this;
+        const key = message.addressee + ' ' + message.id;
+        if (!this.pending[key]) return; // It was settled.
+        this.write(message);
+        if (message.retries >= this.maxRetries) {
+            message.timeout = setTimeout(function() {
+                that.settle(key, guts.newError(
+                    `${message.addressee} didn't acknowledge message ${message.id}.`,
+                    'ETIMEDOUT'));
+            }, this.getRetryInterval(message.retries));
+        } else {
+            message.timeout = setTimeout(function() {
+                ++message.retries;
+                that.transmit(message);
+            }, this.getRetryInterval(message.retries));
+        }
+    }
+
+    getRetryInterval(retries) {
+        return Math.min(MaxRetryInterval, this.retryInterval * Math.pow(2, retries));
+    }
+
+    /** Resolve or reject the Promise for an outgoing message. */
+    settle(key, err) {
+        const message = this.pending[key];
+        if (message) {
+            delete this.pending[key];
+            clearTimeout(message.timeout);
+            if (err) {
+                message.reject(err);
+            } else {
+                message.resolve({to: message.addressee, id: message.id});
+            }
+        }
+    }
+
+    write(data, callback) {
+        if (!this.socket) return;
+        const packet = APRS.encode(data, {
+            port: this.port,
+            fromAddress: this.myCall,
+            via: this.via,
+            toAddress: this.toAddress,
+        });
+        this.log.trace('write %j', data);
+        const that = this;
+        this.socket.write(packet, function(err) {
+            if (err) that.emit('error', err);
+            if (callback) callback(err);
+        });
+    }
+
+    onPacket(packet) {
+        try {
+            const data = APRS.decode(packet);
+            if (!data || normalizeCall(data.addressee) != this.myCall) return;
+            const from = normalizeCall(packet.fromAddress);
+            switch(data.type) {
+            case 'ack':
+                this.settle(from + ' ' + data.id);
+                break;
+            case 'rej':
+                this.settle(from + ' ' + data.id, guts.newError(
+                    `${from} rejected message ${data.id}.`, 'ECONNREFUSED'));
+                break;
+            case 'message':
+                if (data.replyAck) this.settle(from + ' ' + data.replyAck);
+                this.onMessage(from, data, packet);
+                break;
+            default:
+            }
+        } catch(err) {
+            this.log.debug(err);
+        }
+    }
+
+    onMessage(from, data, packet) {
+        const that = this;
+        const key = [from, data.id, data.text].join(' ');
+        const now = Date.now();
+        for (const k in this.received) {
+            if (now - this.received[k] >= this.duplicateTime) {
+                delete this.received[k];
+            }
+        }
+        const isDuplicate = (this.received[key] != null);
+        this.received[key] = now;
+        const emit = function() {
+            if (!isDuplicate) {
+                that.emit('message', {
+                    from: from,
+                    text: data.text,
+                    id: data.id,
+                    packet: packet,
+                });
+            }
+        };
+        if (data.id == null) {
+            emit();
+        } else {
+            if (data.replyAckCapable) this.replyAcks[from] = data.id;
+            // Acknowledge it again, even if it's a duplicate:
+            this.write({type: 'ack', addressee: from, id: data.id}, emit);
+        }
+    }
+
+    /** Stop receiving messages, and reject the Promises for all outgoing messages. */
+    close() {
+        for (const key in this.pending) {
+            this.settle(key, guts.newError('The messenger was closed.', 'ERR_STREAM_DESTROYED'));
+        }
+        if (this.socket) {
+            const socket = this.socket;
+            delete this.socket;
+            socket.destroy();
+            this.emit('close');
+        }
+    }
+} // APRSMessenger
+
+exports.APRSMessenger = APRSMessenger;
@@ -40,7 +40,9 @@ try {
         if (packet.NS != null) line += ' S=' + packet.NS;
         if (packet.P) line += ' Poll';
         if (packet.F) line += ' Final';
-        if (packet.info) {
+        if (packet.frmr) {
+            line += ' ' + guts.describeFRMR(packet.frmr);
+        } else if (packet.info) {
             line += ' ' + guts.getDataSummary(packet.info);
             if (packet.info.length > 32) {
                 line += ' (' + packet.info.length + ' bytes)';
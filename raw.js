@@ -23,6 +23,13 @@ transmitted data flow through a chain of streams.
 const Stream = require('stream');
 const guts = require('./guts.js');
 
+/** Identifies the link between two stations, in either direction. */
+function getLinkKey(port, packet) {
+    const from = packet.fromAddress;
+    const to = packet.toAddress;
+    return (from < to) ? `${port} ${from} ${to}` : `${port} ${to} ${from}`;
+}
+
 /** Exchanges AX.25 packets with remote stations. */
 class RawSocket extends Stream.Duplex {
 
@@ -40,6 +47,13 @@ class RawSocket extends Stream.Duplex {
         this.server = server;
         this.isBound = false;
         this.isReading = false;
+        /* Receive packets via monitor frames (U, I, S and T),
+           instead of raw frames (K). */
+        this.isMonitor = !!(options && options.monitor);
+        this.frameEvent = this.isMonitor ? 'monitorFrame' : 'rawFrame';
+        /* Links that were started with SABME, whose I and S packets
+           have modulo 128 control fields. */
+        this.extendedLinks = {};
         const that = this;
         this.listener = function(frame) {
             that.onFrameFromAGW(frame);
@@ -68,7 +82,7 @@ class RawSocket extends Stream.Duplex {
                 try {
                     if (err) throw err;
                     that.router = that.server.portRouter;
-                    that.router.on('rawFrame', that.listener);
+                    that.router.on(that.frameEvent, that.listener);
                     that.router.on('error', function(err) {
                         that.emit('error', err);
                     });
@@ -91,16 +105,49 @@ class RawSocket extends Stream.Duplex {
         }
     }
 
+    /** Like bind, but return a Promise that resolves when this socket is bound. */
+    bindAsync() {
+        const that = this;
+        return new Promise(function(resolve, reject) {
+            const onError = function(err) {
+                that.removeListener('error', onError);
+                that.server.removeListener('error', onError);
+                reject(err);
+            };
+            that.on('error', onError);
+            that.server.on('error', onError);
+            that.bind(function(err) {
+                that.removeListener('error', onError);
+                that.server.removeListener('error', onError);
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve(that);
+                }
+            });
+        });
+    }
+
     onFrameFromAGW(frame) {
         try {
-            if (frame.dataKind != 'K') {
+            if (!this.isMonitor && frame.dataKind != 'K') {
                 throw guts.newError(
                     `frame.dataKind ${frame.dataKind}`,
                     'ERR_INVALID_ARG_TYPE');
             }
             if (this.isReading) {
-                const packet = guts.decodePacket(frame.data.slice(1));
+                const that = this;
+                const packet = this.isMonitor
+                      ? guts.decodeMonitorFrame(frame)
+                      : guts.decodePacket(frame.data.slice(1), function(p) {
+                          return that.extendedLinks[getLinkKey(frame.port, p)] ? 128 : 8;
+                      });
+                if (!packet) {
+                    this.log.debug('unrecognized %s', guts.getFrameSummary(frame));
+                    return;
+                }
                 packet.port = frame.port;
+                this.noteLinkModulo(packet);
                 this.log.trace('< %j', packet);
                 this.isReading = this.push(packet);
             } else {
@@ -113,6 +160,21 @@ class RawSocket extends Stream.Duplex {
         }
     }
 
+    /** Remember which links use modulo 128, as evidenced by packet. */
+    noteLinkModulo(packet) {
+        switch(packet.type) {
+        case 'SABME':
+            this.extendedLinks[getLinkKey(packet.port, packet)] = true;
+            break;
+        case 'SABM':
+        case 'DISC':
+        case 'DM':
+            delete this.extendedLinks[getLinkKey(packet.port, packet)];
+            break;
+        default:
+        }
+    }
+
     _read(size) {
         this.isReading = true;
         // onFrameFromAGW will call this.push, next time a packet arrives.
@@ -124,7 +186,8 @@ class RawSocket extends Stream.Duplex {
                 throw guts.newTypeError(`RawSocket._write(${typeof packet})`);
             }
             const p = guts.encodePacket(packet);
-            if (this.log.trace()) this.log.trace('_write(%j)', guts.decodePacket(p));
+            this.noteLinkModulo(packet);
+            if (this.log.trace()) this.log.trace('_write(%j)', guts.decodePacket(p, packet.modulo));
             const data = Buffer.alloc(p.length + 1);
             data[0] = packet.port << 4;
             p.copy(data, 1);
@@ -149,7 +212,7 @@ class RawSocket extends Stream.Duplex {
     _destroy(err, callback) {
         this.log.debug('_destroy(%s, %s)', err || '', typeof callback);
         if (this.router) {
-            this.router.removeListener('rawFrame', this.listener);
+            this.router.removeListener(this.frameEvent, this.listener);
             delete this.router;
         }
         if (err) this.emit('error', err);
@@ -163,4 +226,5 @@ class RawSocket extends Stream.Duplex {
     }
 } // RawSocket
 
+exports.getLinkKey = getLinkKey;
 exports.RawSocket = RawSocket;
@@ -33,8 +33,13 @@ FrameAssembler.end(). As usual for a pipeline, this eventually
 calls ConnectionThrottle.end().
 */
 
+const AccessList = require('./access.js').AccessList;
+const BeaconScheduler = require('./beacon.js').BeaconScheduler;
 const EventEmitter = require('events');
+const getLinkKey = require('./raw.js').getLinkKey;
 const guts = require('./guts.js');
+const Heard = require('./heard.js');
+const KISS = require('./kiss.js');
 const Net = require('net');
 const process = require('process');
 const RawSocket = require('./raw.js').RawSocket;
@@ -50,6 +55,13 @@ const hexBuffer = guts.hexBuffer;
 const newError = guts.newError;
 
 const KByte = 1 << 10;
+const DefaultKeepAliveDelay = 60000; // msec
+const DefaultCloseTimeout = 30000; // msec
+const DefaultQueryTimeout = 10000; // msec
+const DefaultReconnect = {
+    minDelay: 1000, // msec
+    maxDelay: 60000, // msec
+};
 
 function validateHosts(hosts) {
     var result = Array.isArray(hosts)
@@ -72,10 +84,95 @@ function validatePorts(ports) {
     return result;
 }
 
+/** Decode the data from a 'g' frame. */
+function decodePortInfo(data) {
+    return {
+        baudRate: 1200 << data[0], // 0 = 1200, 1 = 2400, 2 = 4800, 3 = 9600 etc.
+        trafficLevel: (data[1] == 0xFF) ? undefined : data[1],
+        txDelay: data[2], // 10 msec units
+        txTail: data[3], // 10 msec units
+        persistence: data[4],
+        slotTime: data[5], // 10 msec units
+        maxFrame: data[6],
+        connections: data[7],
+        bytesReceived: (data.length >= 12) ? data.readUInt32LE(8) : undefined, // in 2 minutes
+    };
+}
+
+/** Return the digipeater paths to try, to connect to another station:
+    options.via and then each of options.alternatePaths.
+*/
+function getConnectPaths(options) {
+    return [options.via].concat(options.alternatePaths || []).map(guts.validatePath);
+}
+
 function flattenArray(a) {
     return a.length <= 0 ? undefined : a.length == 1 ? a[0] : a;
 }
 
+/** Return an async iterator of the values of an event,
+    which ends when the emitter emits endEvent, or throws when it emits 'error'.
+*/
+function iterateEvents(emitter, event, endEvent) {
+    const values = [];
+    const waiting = []; // callers of next, waiting for a value
+    var isDone = false;
+    var error = null;
+    const onValue = function(value) {
+        if (waiting.length > 0) {
+            waiting.shift().resolve({value: value, done: false});
+        } else {
+            values.push(value);
+        }
+    };
+    const onError = function(err) {
+        error = err;
+        finish();
+    };
+    const finish = function() {
+        isDone = true;
+        emitter.removeListener(event, onValue);
+        emitter.removeListener(endEvent, finish);
+        emitter.removeListener('error', onError);
+        while (waiting.length > 0) {
+            const caller = waiting.shift();
+            if (error) {
+                caller.reject(error);
+                error = null;
+            } else {
+                caller.resolve({value: undefined, done: true});
+            }
+        }
+    };
+    emitter.on(event, onValue);
+    emitter.on(endEvent, finish);
+    emitter.on('error', onError);
+    const iterator = {
+        next: function() {
+            if (values.length > 0) {
+                return Promise.resolve({value: values.shift(), done: false});
+            } else if (error) {
+                const err = error;
+                error = null;
+                return Promise.reject(err);
+            } else if (isDone) {
+                return Promise.resolve({value: undefined, done: true});
+            }
+            return new Promise(function(resolve, reject) {
+                waiting.push({resolve: resolve, reject: reject});
+            });
+        },
+        return: function() {
+            finish();
+            return Promise.resolve({value: undefined, done: true});
+        },
+    };
+    iterator[Symbol.asyncIterator] = function() {
+        return iterator;
+    };
+    return iterator;
+}
+
 function mergeOptions(from) {
     var args = Array.from(arguments);
     var into = {};
@@ -86,6 +183,18 @@ function mergeOptions(from) {
 
 const EmptyBuffer = Buffer.alloc(0);
 
+/** Counters of a connection's traffic, or all the connections via a port. */
+function newStats() {
+    return {
+        bytesRead: 0, // data received
+        bytesWritten: 0, // data sent to the TNC
+        framesRead: 0,
+        framesWritten: 0,
+        blockedTime: 0, // msec waiting for frames in flight to be transmitted
+        retries: 0, // retransmitted I frames, seen in monitor frames (see options.countRetries)
+    };
+}
+
 /** Creates a client object to handle each connection to an AGW port
     or a remote AX.25 station. Also, passes frames received via each
     connection to the client that handles that connection.
@@ -113,9 +222,7 @@ class Router extends EventEmitter {
         const fromAGWClass = fromAGW.constructor.name;
         fromAGW.on('close', function(err) {
             that.log.debug('%s emitted close(%s); destroy clients', fromAGWClass, err || '');
-            for (const c in that.clients) {
-                that.clients[c].destroy();
-            }
+            that.destroyClients();
             that.emit('close', err);
         });
         fromAGW.on('end', function(err) {
@@ -137,6 +244,12 @@ class Router extends EventEmitter {
         }
     }
 
+    destroyClients() {
+        for (const c in this.clients) {
+            this.clients[c].destroy();
+        }
+    }
+
     getClientFor(frame) {
         const that = this;
         const key = this.getKey(frame);
@@ -176,11 +289,15 @@ class PortRouter extends Router {
         this.on('newListener', function(event, listener) {
             if (event == 'rawFrame' && that.listenerCount('rawFrame') == 0) {
                 toAGW.write({dataKind: 'k'}); // enable reception of K frames
+            } else if (event == 'monitorFrame' && that.listenerCount('monitorFrame') == 0) {
+                toAGW.write({dataKind: 'm'}); // enable reception of monitor frames
             }
         });
         this.on('removeListener', function(event, listener) {
             if (event == 'rawFrame' && that.listenerCount('rawFrame') == 0) {
                 toAGW.write({dataKind: 'k'}); // disable reception of K frames
+            } else if (event == 'monitorFrame' && that.listenerCount('monitorFrame') == 0) {
+                toAGW.write({dataKind: 'm'}); // disable reception of monitor frames
             }
         });
     }
@@ -204,14 +321,16 @@ class PortRouter extends Router {
             try {
                 const parts = frame.data.toString('ascii').split(';');
                 const ports = [];
+                const descriptions = [];
                 const numberOfPorts = parseInt(parts[0]);
                 for (var p = 0; p < numberOfPorts; ++p) {
                     ports.push(p);
+                    descriptions.push(parts[p + 1]);
                 }
                 ports.forEach(function(port) {
                     that.toAGW.write({dataKind: 'g', port: port});
                 });
-                this.server.setPorts(ports);
+                this.server.setPorts(ports, descriptions);
             } catch(err) {
                 this.server.emit('error', err);
             }
@@ -225,9 +344,43 @@ class PortRouter extends Router {
             if (err) err.address = myCall;
             this.emit('registeredCall', err || myCall);
             break;
+        case 'g': // capabilities of a port
+            this.server._setPortInfo(frame.port, decodePortInfo(frame.data));
+            break;
+        case 'R': // version
+            if (!(frame.data && frame.data.length >= 6)) {
+                this.log.warn('ignored short R frame %s', getFrameSummary(frame));
+                break;
+            }
+            this.server._setVersion({
+                major: frame.data.readUInt16LE(0),
+                minor: frame.data.readUInt16LE(4),
+            });
+            break;
+        case 'H': // heard station
+            this.server._hearFromTNC(frame);
+            break;
         case 'K':
+            this.server._hearRawFrame(frame);
             this.emit('rawFrame', frame);
             break;
+        case 'I': // monitored packets
+        case 'S':
+        case 'U':
+            if (frame.dataKind == 'U') {
+                this.server._noteLinkModulo(guts.decodeMonitorFrame(frame));
+            }
+            this.server._hearMonitorFrame(frame);
+            this.emit('monitorFrame', frame);
+            break;
+        case 'T': // monitored transmission
+            this.server._countTransmission(client, frame);
+            this.emit('monitorFrame', frame);
+            break;
+        case 'y': // frames waiting to be transmitted
+            client.onFrameFromAGW(frame);
+            this.server._answer('y' + frame.port, null, client.getFramesInFlight());
+            break;
         default:
             client.onFrameFromAGW(frame);
         }
@@ -239,6 +392,33 @@ class ConnectionRouter extends Router {
 
    constructor(toAGW, fromAGW, options, server) {
         super(toAGW, fromAGW, options, server);
+        this.abandoned = {}; // keys of outgoing connections that gave up connecting
+    }
+
+    /** Ignore a frame for a connection that doesn't exist (any more),
+        for example a 'Y' or 'd' frame that arrives after the connection closed.
+        Disconnect if the TNC connects after this station gave up connecting.
+    */
+    onFrameFromAGW(frame) {
+        const key = this.getKey(frame);
+        if (!this.clients[key]) {
+            if (frame.dataKind == 'C' && this.abandoned[key]) {
+                delete this.abandoned[key];
+                this.log.debug('disconnect abandoned connection: %s', getFrameSummary(frame));
+                this.toAGW.send({
+                    dataKind: 'd',
+                    port: frame.port,
+                    callFrom: frame.callTo,
+                    callTo: frame.callFrom,
+                });
+                return;
+            } else if (frame.dataKind != 'C') {
+                if (frame.dataKind == 'd') delete this.abandoned[key];
+                this.log.debug('ignore frame for no connection: %s', getFrameSummary(frame));
+                return;
+            }
+        }
+        super.onFrameFromAGW(frame);
     }
 
     getKey(frame) {
@@ -267,6 +447,17 @@ class ConnectionRouter extends Router {
         dataToFrames.pipe(throttle);
         const connection = new Connection(this.options, dataToFrames);
         throttle.client = connection;
+        connection.throttle = throttle;
+        throttle.counters = connection.counters;
+        const portStats = this.server._getPortStats(frame.port);
+        connection.counters.push(portStats);
+        connection.once('connected', function() {
+            ++portStats.connections;
+            ++portStats.totalConnections;
+        });
+        connection.once('close', function() {
+            if (connection.connectedAt) --portStats.connections;
+        });
         const connectionClass = connection.constructor.name;
         const dataToFramesClass = dataToFrames.constructor.name;
         const throttleClass = throttle.constructor.name;
@@ -278,10 +469,26 @@ class ConnectionRouter extends Router {
                 connection.emit(event, info);
             });
         });
-        if (frame.dataKind == 'C') { // received connection
+        if (frame.dataKind == 'sendConnection') {
+            const key = this.getKey(frame);
+            delete this.abandoned[key];
+            throttle.once('close', function() {
+                if (throttle.isAbandoned) that.abandoned[key] = true;
+            });
+        } else if (frame.dataKind == 'C') { // received connection
             connection.on('connected', function(data) {
                 throttle.write(throttle.queryFramesInFlight());
-                that.server.emit('connection', connection);
+                that.server._admitConnection(connection, function admitted() {
+                    if (that.options.idleTimeout) {
+                        connection.setTimeout(that.options.idleTimeout);
+                        if (that.options.idleDisconnect) {
+                            connection.on('timeout', function() {
+                                connection.end();
+                            });
+                        }
+                    }
+                    that.server.emit('connection', connection);
+                });
             });
         }
         return throttle;
@@ -318,6 +525,11 @@ class Throttle extends Stream.Writable {
 
     constructor(options, sender) {
         super({
+            /* Newer versions of node destroy a Writable when it finishes, that is
+               after end() but before the TNC confirms the disconnect. The router
+               would then have no client for the TNC's 'd' frame. Instead,
+               a ConnectionThrottle destroys itself when it's disconnected. */
+            autoDestroy: false,
             objectMode: true,
             highWaterMark: 5,
         });
@@ -331,6 +543,7 @@ class Throttle extends Stream.Writable {
         this.inFlight = 1;
         this.minInFlight = 1;
         this.maxInFlight = MaxFramesInFlight;
+        this.counters = []; // stats to update
         const that = this;
         sender.on('notFull', function() {
             that.sendBuffer();
@@ -367,6 +580,7 @@ class Throttle extends Stream.Writable {
                 // Wait until inFlight decreases.
                 if (!this.polling) {
                     this.log.trace('start polling');
+                    this.blockedSince = Date.now();
                     this.polling = setInterval(function() {
                         that.pushFrame(that.queryFramesInFlight());
                     }, 2000);
@@ -385,6 +599,9 @@ class Throttle extends Stream.Writable {
             this.sender.send(frame);
             switch(frame.dataKind) {
             case 'D': // connected data
+                this.count('framesWritten', 1);
+                this.count('bytesWritten', frame.data.length);
+                // fall through
             case 'K': // raw AX.25 data
             case 'M': // UNPROTO data
             case 'V': // UNPROTO VIA
@@ -405,9 +622,22 @@ class Throttle extends Stream.Writable {
             this.log.trace('stop polling');
             clearInterval(this.polling);
             this.polling = null;
+            this.count('blockedTime', this.getBlockedTime());
+            this.blockedSince = null;
         }
     }
 
+    /** Return how long (msec) this has been waiting for frames in flight to decrease. */
+    getBlockedTime() {
+        return (this.blockedSince == null) ? 0 : Date.now() - this.blockedSince;
+    }
+
+    count(name, n) {
+        this.counters.forEach(function(stats) {
+            stats[name] += n;
+        });
+    }
+
     _write(frame, encoding, callback) {
         this.log.trace('_write(%s, %s, %s)', typeof frame, encoding, typeof callback);
         this.buffer.push(frame);
@@ -434,6 +664,7 @@ class Throttle extends Stream.Writable {
 
     _destroy(err, callback) {
         this.log.debug('_destroy(%s, %s)', err || '', typeof callback);
+        this.stopPolling();
         if (!this.isClosed) this.emit('close');
         if (callback) callback();
     }
@@ -468,10 +699,17 @@ class PortThrottle extends Throttle {
         };
     }
 
+    /** Return the number of data frames waiting to be transmitted,
+        here or by the TNC.
+    */
+    getFramesInFlight() {
+        return this.inFlight + this.buffer.filter(function(item) {
+            return (typeof item) != 'function' && item.dataKind != 'y';
+        }).length;
+    }
+
     onFrameFromAGW(frame) {
         switch(frame.dataKind) {
-        case 'g': // capabilities of this port
-            break;
         case 'y': // frames waiting to be transmitted
             this.updateFramesInFlight(frame);
             break;
@@ -501,14 +739,130 @@ class ConnectionThrottle extends Throttle {
         };
     }
 
+    /** Ask the TNC to connect via each of the given paths in turn, until it succeeds.
+        Try each path 1 + options.connectRetries times, and give up on each
+        attempt after options.connectTimeout msec (if any).
+        If connecting fails, the client emits 'connectFailed' and then 'end';
+        or 'connectFailed' and then 'error' if options.connectErrors.
+    */
+    connect(paths, options) {
+        this.connectErrors = !!options.connectErrors;
+        const retries = options.connectRetries || 0;
+        this.connectAttempts = [];
+        for (var p = 0; p < paths.length; ++p) {
+            for (var r = 0; r <= retries; ++r) {
+                this.connectAttempts.push(paths[p]);
+            }
+        }
+        this.connectTimeout = options.connectTimeout || 0;
+        this.connectNext();
+    }
+
+    connectNext() {
+        const that = this;
+        const via = this.connectAttempts.shift();
+        this.client.via = via;
+        this.connectTimedOut = false;
+        this.write(guts.connectFrame(this.port, this.myCall, this.theirCall, via));
+        if (this.connectTimeout > 0) {
+            this.connectTimer = setTimeout(function() {
+                that.connectTimer = null;
+                if (that._disconnected) return; // The client ended meanwhile.
+                that.connectTimedOut = true;
+                that.log.debug('connect timed out');
+                that.write({ // Stop trying. The TNC should respond with a 'd' frame.
+                    dataKind: 'd',
+                    port: that.port,
+                    callFrom: that.myCall,
+                    callTo: that.theirCall,
+                });
+                that.connectTimer = setTimeout(function() {
+                    that.connectTimer = null;
+                    that.giveUpConnecting();
+                }, that.connectTimeout);
+            }, this.connectTimeout);
+        }
+    }
+
+    /** Stop connecting, as if the TNC had responded with a 'd' frame. */
+    giveUpConnecting() {
+        this.log.debug('the TNC did not respond to disconnecting');
+        this.connectAttempts = [];
+        this.isAbandoned = true; // If the TNC connects later, the router will disconnect.
+        this.pushFrame({ // Ask the TNC again to stop trying, without waiting.
+            dataKind: 'd',
+            port: this.port,
+            callFrom: this.myCall,
+            callTo: this.theirCall,
+        });
+        this.onFrameFromAGW({
+            dataKind: 'd',
+            port: this.port,
+            callFrom: this.theirCall,
+            callTo: this.myCall,
+            data: EmptyBuffer,
+        });
+        this.destroy(); // without waiting for the TNC
+    }
+
+    clearConnectTimer() {
+        if (this.connectTimer) {
+            clearTimeout(this.connectTimer);
+            this.connectTimer = null;
+        }
+    }
+
+    /** Return the reason for a 'd' frame: 'local' (this station disconnected),
+        'remote' (the other station disconnected), 'retryout' (the link failed),
+        'timeout' (connecting took too long) or 'busy' (the other station refused to connect).
+    */
+    getDisconnectReason(frame) {
+        if (this.connectTimedOut) return 'timeout';
+        if (this._disconnected) return 'local'; // This station sent a 'd' frame.
+        const reason = guts.decodeDisconnectReason(frame.data);
+        if (reason) return reason;
+        // The TNC doesn't report a DM response to connecting as such.
+        if (this.connectAttempts && !this.isConnected) return 'busy';
+        return 'remote';
+    }
+
+    /** Return an error that explains why connecting failed. */
+    getConnectError(frame) {
+        const text = (frame.data || EmptyBuffer).toString('binary').trim();
+        const err = (frame.reason == 'timeout')
+              ? newError(`Timed out connecting to ${this.theirCall}.`, 'ETIMEDOUT')
+              : (frame.reason == 'retryout')
+              ? newError(`${this.theirCall} is unreachable (${text}).`, 'EHOSTUNREACH')
+              : newError(`${this.theirCall} refused to connect (${text}).`, 'ECONNREFUSED');
+        err.address = this.theirCall;
+        err.reason = frame.reason;
+        return err;
+    }
+
     onFrameFromAGW(frame) {
         const that = this;
         switch(frame.dataKind) {
         case 'Y': // frames waiting to be transmitted
             this.updateFramesInFlight(frame);
             break;
+        case 'C': // connected
+            this.isConnected = true;
+            this.clearConnectTimer();
+            this.client.onFrameFromAGW(frame);
+            break;
         case 'd': // disconnected
             this.log.trace('received d frame');
+            this.clearConnectTimer();
+            frame = Object.assign({}, frame, {reason: this.getDisconnectReason(frame)});
+            if (this.connectAttempts && !this.isConnected && !this._disconnected) {
+                if (this.connectAttempts.length > 0) {
+                    this.log.debug('retry connecting to %s (%s)', this.theirCall, frame.reason);
+                    this.connectNext();
+                    break;
+                }
+                frame.error = this.getConnectError(frame);
+                frame.isFatal = this.connectErrors; // else the client emits 'end'
+            }
             this._disconnected = true;
             this.client.onFrameFromAGW(frame);
             /* You can't send any more data. Discard it: */
@@ -535,6 +889,21 @@ class ConnectionThrottle extends Throttle {
         }
     }
 
+    /** Count a retry, if the TNC transmitted an I frame for the second time. */
+    countTransmission(packet) {
+        if (packet.type != 'I' || packet.NS == null) return;
+        if (this.lastNS == null || packet.NS == (this.lastNS + 1) % (packet.modulo || 8)) {
+            this.lastNS = packet.NS; // a new frame
+        } else {
+            this.count('retries', 1);
+        }
+    }
+
+    _destroy(err, callback) {
+        this.clearConnectTimer();
+        super._destroy(err, callback);
+    }
+
     bufferFinalFrames() {
         if (!this._disconnected) {
             this._disconnected = true;
@@ -561,11 +930,14 @@ class ConnectionThrottle extends Throttle {
 } // ConnectionThrottle
 
 const MaxWriteDelay = 250; // msec
+/** Written to a FrameAssembler to make it send its buffered data now. */
+const FlushMarker = Buffer.alloc(0);
 
 /** Transform a stream of data to a stream of AGW frames.
     To promote efficient transmission, data may be delayed for as long as
-    MaxWriteDelay, while several chunks are combined into one AGW data frame,
-    perhaps as long as options.frameLength.
+    options.writeDelay (default MaxWriteDelay), while several chunks are
+    combined into one AGW data frame, perhaps as long as options.frameLength.
+    With options.noDelay, each chunk is sent without delay.
 */
 class FrameAssembler extends Stream.Transform {
 
@@ -586,6 +958,8 @@ class FrameAssembler extends Stream.Transform {
         this.ID = options.ID;
         this.maxDataLength = (options && options.frameLength) || DefaultFrameLength;
         this.bufferCount = 0;
+        this.noDelay = !!(options && options.noDelay);
+        this.writeDelay = (options && options.writeDelay != null) ? options.writeDelay : MaxWriteDelay;
         const that = this;
         this.on('pipe', function(from) {
             that.log.trace('pipe from %s', from.constructor.name);
@@ -602,6 +976,11 @@ class FrameAssembler extends Stream.Transform {
                                         'ERR_INVALID_ARG_TYPE'));
                 return;
             }
+            if (data === FlushMarker) {
+                this.sendBuffer();
+                afterTransform();
+                return;
+            }
             if (this.log.trace()) {
                 this.log.trace(`_transform %s length %d`, getDataSummary(data), data.length)
             }
@@ -613,13 +992,7 @@ class FrameAssembler extends Stream.Transform {
                 data.copy(this.buffer, this.bufferCount);
                 this.bufferCount += data.length;
                 afterTransform();
-                // Start the timeout, if it's not already running:
-                if (this.timeout == null) {
-                    this.timeout = setTimeout(function(that) {
-                        that.timeout = null;
-                        that.sendBuffer();
-                    }, MaxWriteDelay, this);
-                }
+                this.startTimeout();
             } else {
                 // Push some data to AGW:
                 /* Direwolf will split a frame into several AX.25 packets,
@@ -642,11 +1015,7 @@ class FrameAssembler extends Stream.Transform {
                         this.buffer = Buffer.alloc(this.maxDataLength);
                         this.bufferCount = data.length - dataNext;
                         data.copy(this.buffer, 0, dataNext);
-                        // Restart the timeout:
-                        this.timeout = setTimeout(function(that) {
-                            that.timeout = null;
-                            that.sendBuffer();
-                        }, MaxWriteDelay, this);
+                        this.startTimeout();
                         break;
                     }
                 }
@@ -657,6 +1026,34 @@ class FrameAssembler extends Stream.Transform {
         }
     }
 
+    /** Send each chunk of data without delay, or resume combining chunks. */
+    setNoDelay(noDelay) {
+        this.noDelay = (noDelay !== false);
+        if (this.noDelay) this.sendBuffer();
+    }
+
+    /** Change the maximum time (msec) that data wait to be combined with more data. */
+    setWriteDelay(msec) {
+        this.writeDelay = msec || 0;
+        if (this.timeout != null) {
+            clearTimeout(this.timeout);
+            this.timeout = null;
+            this.startTimeout();
+        }
+    }
+
+    /** Start the timeout, if it's not already running. */
+    startTimeout() {
+        if (this.noDelay || this.writeDelay <= 0) {
+            this.sendBuffer();
+        } else if (this.timeout == null) {
+            this.timeout = setTimeout(function(that) {
+                that.timeout = null;
+                that.sendBuffer();
+            }, this.writeDelay, this);
+        }
+    }
+
     _flush(callback) {
         this.log.debug(`_flush(%s)`, typeof callback);
         this.sendBuffer();
@@ -717,10 +1114,20 @@ class Connection extends Stream.Duplex {
         this.port = toAGW.port;
         this.localAddress = toAGW.myCall;
         this.remoteAddress = toAGW.theirCall;
-        this._pushable = false;
+        this.via = []; // digipeaters between this station and the remote station
+        this.disconnectReason = null; // 'local', 'remote', 'retryout', 'timeout' or 'busy'
+        /* Data may arrive before the first _read, for example right after connecting.
+           That's not an overflow, since nothing has been pushed yet. */
+        this._pushable = true;
+        this.timeout = 0; // msec
+        this.stats = newStats();
+        this.counters = [this.stats];
         const that = this;
         this.once('end', function() {that.isEnded = true;});
-        this.once('close', function() {that.isClosed = true;});
+        this.once('close', function() {
+            that.isClosed = true;
+            that.clearTimers();
+        });
         this.on('pipe', function(from) {
             that.log.trace('pipe from %s', from.constructor.name);
         });
@@ -733,13 +1140,30 @@ class Connection extends Stream.Duplex {
         this.log.trace('received frame.dataKind %s', frame.dataKind);
         switch(frame.dataKind) {
         case 'C':
+            const via = guts.decodeConnectedPath(frame.data);
+            if (via.length > 0) this.via = via;
+            this.connectedAt = new Date();
             this.emit('connected', frame.data);
             break;
         case 'd': // disconnect
-            this.emit('end', frame.data);
+            this.disconnectReason = frame.reason || null;
+            if (frame.error) { // failed to connect
+                this.emit('connectFailed', frame.error);
+            }
+            if (frame.error && frame.isFatal) {
+                this.isEnded = true; // Don't emit 'end'.
+                this.emit('error', frame.error);
+            } else {
+                this.emit('end', frame.data);
+            }
             this.destroy();
             break;
         case 'D': // data
+            this.resetTimers();
+            this.counters.forEach(function(stats) {
+                ++stats.framesRead;
+                stats.bytesRead += frame.data.length;
+            });
             if (this.isClosed) {
                 this.emit('error', newError('received data after close '
                                             + getDataSummary(frame.data)));
@@ -757,17 +1181,146 @@ class Connection extends Stream.Duplex {
         }
     }
 
+    /** Return the counters of this connection's traffic so far,
+        and how many data frames are in flight.
+    */
+    getStats() {
+        const throttle = this.throttle;
+        const stats = Object.assign({connectedAt: this.connectedAt}, this.stats);
+        if (throttle) {
+            stats.blockedTime += throttle.getBlockedTime();
+            stats.framesInFlight = throttle.inFlight;
+            stats.minFramesInFlight = throttle.minInFlight;
+        }
+        return stats;
+    }
+
+    /** Like net.Socket.address: describe the local end of this connection. */
+    address() {
+        return {port: this.port, address: this.localAddress};
+    }
+
+    /** Describe the remote end of this connection, including the digipeaters
+        in the order they were reported: for an outgoing connection, the path
+        from this station; for an incoming connection, the path to this station.
+        To reply via the same digipeaters, use reversePath(connection.via).
+    */
+    remoteInfo() {
+        return {port: this.port, address: this.remoteAddress, via: this.via.slice()};
+    }
+
+    /** Like net.Socket.bytesRead. */
+    get bytesRead() {
+        return this.stats.bytesRead;
+    }
+
+    /** Like net.Socket.bytesWritten, but only the data sent to the TNC. */
+    get bytesWritten() {
+        return this.stats.bytesWritten;
+    }
+
     _read(size) {
         this._pushable = true;
         // onFrameFromAGW calls this.push.
     }
 
     _write(data, encoding, afterWrite) {
+        if (data !== FlushMarker) this.resetTimers();
         this.toAGW.write(data, afterWrite);
     }
 
+    /** Like net.Socket.setNoDelay: send data as soon as they're written,
+        rather than waiting briefly to combine them with more data.
+    */
+    setNoDelay(noDelay) {
+        this.toAGW.setNoDelay(noDelay !== false);
+        return this;
+    }
+
+    /** Wait as long as msec to combine written data into fewer, longer frames. */
+    setWriteDelay(msec) {
+        this.toAGW.setWriteDelay(msec);
+        return this;
+    }
+
+    /** Like Writable.uncork, and also send the data that were written
+        while corked, without waiting to combine them with more data.
+    */
+    uncork() {
+        const state = this._writableState;
+        const wasCorked = state.corked > 0;
+        super.uncork();
+        if (wasCorked && !state.corked && !state.ending) {
+            this.write(FlushMarker);
+        }
+    }
+
+    /** Like net.Socket.setTimeout: emit 'timeout' after msec of inactivity,
+        that is when no data were sent or received. 0 disables the timeout.
+        The connection isn't disconnected automatically; you can call end().
+    */
+    setTimeout(msec, callback) {
+        this.timeout = msec || 0;
+        if (callback) this.once('timeout', callback);
+        this.resetTimers();
+        return this;
+    }
+
+    /** Send data (default '\r') after initialDelay msec of inactivity, and
+        repeat while the connection remains inactive. This doesn't reset the timeout.
+    */
+    setKeepAlive(enable, initialDelay, data) {
+        this.keepAlive = enable ? {
+            delay: initialDelay || DefaultKeepAliveDelay,
+            data: (data != null) ? data : '\r',
+        } : null;
+        this.resetTimers();
+        return this;
+    }
+
+    clearTimers() {
+        if (this.idleTimer) {
+            clearTimeout(this.idleTimer);
+            this.idleTimer = null;
+        }
+        if (this.keepAliveTimer) {
+            clearTimeout(this.keepAliveTimer);
+            this.keepAliveTimer = null;
+        }
+    }
+
+    resetTimers() {
+        this.clearTimers();
+        if (this.isClosed) return;
+        const that = this;
+        if (this.timeout > 0) {
+            this.idleTimer = setTimeout(function() {
+                that.idleTimer = null;
+                that.log.debug('idle timeout');
+                that.emit('timeout');
+            }, this.timeout);
+        }
+        if (this.keepAlive) {
+            this.scheduleKeepAlive();
+        }
+    }
+
+    scheduleKeepAlive() {
+        const that = this;
+        this.keepAliveTimer = setTimeout(function() {
+            that.keepAliveTimer = null;
+            if (that.isClosed || that.isFinished || !that.keepAlive) return;
+            that.log.debug('keep alive');
+            const data = that.keepAlive.data;
+            that.toAGW.write(((typeof data) == 'string') ? Buffer.from(data, 'binary') : data);
+            that.scheduleKeepAlive();
+        }, this.keepAlive.delay);
+    }
+
     _final(callback) {
         this.log.debug('_final(%s)', typeof callback);
+        this.isFinished = true;
+        this.clearTimers();
         this.toAGW.end(callback);
     }
 
@@ -777,7 +1330,7 @@ class Connection extends Stream.Duplex {
         // 'end' and 'close', but I find that doesn't always happen.
         // This works reliably:
         if (!this.isEnded) this.emit('end');
-        if (!this.isClosed) this.emit('close');
+        if (!this.isClosed) this.emit('close', this.disconnectReason);
         if (callback) callback(err);
     }
 
@@ -788,7 +1341,8 @@ class Connection extends Stream.Duplex {
     for exchanging data via one AX.25 connection.
     The remote call sign is connection.remoteAddress.
     To disconnect, call connection.end(). The connection
-    emits a 'close' event when AX.25 is disconnected.
+    emits a 'close' event when AX.25 is disconnected,
+    with the reason (also connection.disconnectReason).
 */
 class Server extends EventEmitter {
 
@@ -804,20 +1358,64 @@ class Server extends EventEmitter {
         this.options = options;
         this.listening = false;
         this.hosts = [];
-        this.fromAGW = new guts.Receiver(options);
+        this.portInfo = {};
+        this.unprotoCalls = {}; // port and call sign => true, if registered for sendUnproto
+        this.heardList = new Heard.HeardList(options.heardList);
+        this.portStats = {}; // port => stats of all connections via that port
+        this.extendedLinks = {}; // links that were started with SABME (modulo 128)
+        this.allowList = options.allow ? new AccessList(options.allow) : null;
+        this.denyList = options.deny ? new AccessList(options.deny) : null;
+        this.maxConnections = options.maxConnections; // incoming, for all hosts
+        this.maxConnectionsPerHost = options.maxConnectionsPerHost;
+        this.admitted = {}; // host => number of incoming connections
+        this.infoCallbacks = {}; // dataKind + port => array of functions
+        this.infoTimers = {}; // dataKind + port => timeout
+        this.queryTimeout = (options.queryTimeout != null) ? options.queryTimeout : DefaultQueryTimeout;
+        if (options.reconnect) {
+            this.reconnect = Object.assign({}, DefaultReconnect,
+                                           (options.reconnect === true) ? {} : options.reconnect);
+        }
+        this.isKISS = (options.protocol || '').toUpperCase() == 'KISS';
+        if (this.isKISS) {
+            this.fromAGW = new KISS.Receiver(options);
+            this.toAGW = new KISS.Sender(options, this.fromAGW);
+        } else {
+            this.fromAGW = new guts.Receiver(options);
+            this.toAGW = new guts.Sender(options);
+        }
         this.onErrorOrTimeout(this.fromAGW);
-        this.toAGW = new guts.Sender(options);
         this.portRouter = new PortRouter(this.toAGW, this.fromAGW, options, this);
         this.portRouter.on('registeredCall', function(info) {
-            if ((typeof info) != 'string') this.emit('error', info);
+            if ((typeof info) != 'string') that.emit('error', info);
         });
         if (onConnect) this.on('connection', onConnect);
+        if (options.countRetries) {
+            // Retries are visible only in monitor frames.
+            this.portRouter.on('monitorFrame', function(frame) {});
+        }
+        // Listening for 'heard' events implies listening for raw frames:
+        const enableRawFrames = function(frame) {};
+        this.on('newListener', function(event, listener) {
+            if (event == 'heard' && that.listenerCount('heard') == 0) {
+                that.portRouter.on('rawFrame', enableRawFrames);
+            }
+        });
+        this.on('removeListener', function(event, listener) {
+            if (event == 'heard' && that.listenerCount('heard') == 0) {
+                that.portRouter.removeListener('rawFrame', enableRawFrames);
+            }
+        });
     }
 
     createSocket(options) {
         return new RawSocket(options, this);
     }
 
+    /** Create a BeaconScheduler, to transmit beacons via this server. */
+    createBeaconScheduler(options) {
+        return new BeaconScheduler(options, this);
+    }
+
     listen(options, callback) {
         this.log.trace('listen(%o, %s)', options, typeof callback);
         if (this.listening) {
@@ -825,7 +1423,10 @@ class Server extends EventEmitter {
         }
         if (!options) throw newError('no options', 'ERR_INVALID_ARG_VALUE');
         this.hosts = validateHosts(options.host);
-        this.ports = validatePorts(options.port);
+        // this.ports are the TNC's ports; setPorts replaces them when the TNC
+        // reports its ports. this.listenPorts are the ports to listen on.
+        this.listenPorts = validatePorts(options.port);
+        if (!this.ports) this.ports = this.listenPorts;
         const that = this;
         this._connectToAGW(function connected(err) {
             if (err) {
@@ -837,6 +1438,65 @@ class Server extends EventEmitter {
         });
     }
 
+    /** Like listen, but return a Promise of the address. The Promise resolves
+        after the TNC registers all the call signs, or rejects with an error,
+        for example EACCES if the TNC didn't register a call sign.
+    */
+    listenAsync(options) {
+        const that = this;
+        return new Promise(function(resolve, reject) {
+            var address = null;
+            var unregistered = null; // the number of calls the TNC hasn't registered yet
+            const cleanup = function() {
+                that.removeListener('error', onError);
+                that.portRouter.removeListener('registeredCall', onRegistered);
+            };
+            const onError = function(err) {
+                cleanup();
+                reject(err);
+            };
+            const onRegistered = function(info) {
+                // A failure (not a string) is also emitted as an error.
+                if ((typeof info) == 'string' && unregistered != null
+                    && that.hosts.indexOf(info) >= 0 && --unregistered <= 0) {
+                    cleanup();
+                    resolve(address);
+                }
+            };
+            that.on('error', onError);
+            that.portRouter.on('registeredCall', onRegistered);
+            try {
+                that.listen(options, function(info) {
+                    address = info;
+                    unregistered = that.listenPorts.length * that.hosts.length;
+                });
+            } catch(err) {
+                onError(err);
+            }
+        });
+    }
+
+    /** Like close, but return a Promise. */
+    closeAsync(options) {
+        const that = this;
+        return new Promise(function(resolve, reject) {
+            that.close(options, function(err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve();
+                }
+            });
+        });
+    }
+
+    /** Iterate over incoming connections, until the server closes. For example:
+        for await (const connection of server) {...}
+    */
+    [Symbol.asyncIterator]() {
+        return iterateEvents(this, 'connection', 'close');
+    }
+
     _connectToAGW(callback) {
         if (this.netSocket) {
             callback();
@@ -845,29 +1505,72 @@ class Server extends EventEmitter {
                 const that = this;
                 const connectOptions = Object.assign({
                     host: '127.0.0.1',
-                    port: 8000,
+                    port: this.isKISS ? 8001 : 8000,
                 }, this.options);
                 delete connectOptions.logger;
                 delete connectOptions.Net;
+                delete connectOptions.protocol;
+                delete connectOptions.kissPorts;
+                delete connectOptions.kissParameters;
+                delete connectOptions.reconnect;
+                const isReconnecting = this.isReconnecting;
                 this.log.trace('%s.createConnection(%o)',
                                this.options.Net ? 'options.Net' : 'Net',
                                connectOptions);
                 const socket = (this.options.Net || Net)
                       .createConnection(connectOptions, function connectionListener(info) {
+                          if (isReconnecting && !that.isReconnecting) {
+                              socket.destroy(); // The server closed meanwhile.
+                              return;
+                          }
                           that.log.debug('Connected to TNC (%s)', info || '');
-                          socket.pipe(that.fromAGW);
+                          // To reconnect, fromAGW must not end when the socket ends.
+                          socket.pipe(that.fromAGW, {end: !that.reconnect});
                           that.toAGW.pipe(socket);
                           that.netSocket = socket;
                           that.toAGW.write({dataKind: 'G'}); // Get information about all ports
+                          if (!that.isKISS) {
+                              that.toAGW.write({dataKind: 'R'}); // Get the TNC version
+                          }
+                          if (that.isReconnecting) {
+                              that._reconnected();
+                          }
                           if (callback) callback();
                       });
-                this.onErrorOrTimeout(socket);
+                ['error', 'timeout'].forEach(function(event) {
+                    socket.on(event, function(info) {
+                        if (that.isClosing && that.netSocket === socket) {
+                            // The 'close' event will finish closing.
+                            that.log.debug('socket emitted %s %s', event, info || '');
+                        } else if (that.reconnect && (that.netSocket === socket || that.isReconnecting)) {
+                            // The 'close' event will lead to reconnecting.
+                            that.log.debug('socket emitted %s %s', event, info || '');
+                        } else {
+                            that.log.trace('socket emitted %s %s', event, info || '');
+                            that.emit(event, info);
+                        }
+                    });
+                });
                 socket.on('close', function(err) {
                     that.log.debug('socket emitted close(%s)', err || '');
                     socket.unpipe(that.fromAGW);
                     that.toAGW.unpipe(socket);
                     if (that.netSocket === socket) {
                         that.netSocket = null;
+                        // Don't join the end of this socket's data to the next socket's:
+                        that.fromAGW.reset();
+                        if (that.isClosing) {
+                            // The AX.25 connections are gone; so close() can finish.
+                            that.portRouter.destroyClients();
+                        } else if (that.reconnect) {
+                            // The TNC disconnected, and so did all the AX.25 connections.
+                            that.portRouter.destroyClients();
+                            that.isReconnecting = true;
+                            that.reconnectDelay = that.reconnect.minDelay;
+                            that._scheduleReconnect();
+                        }
+                    } else if (that.isReconnecting) {
+                        that._scheduleReconnect();
                     }
                 });
             } catch(err) {
@@ -876,23 +1579,64 @@ class Server extends EventEmitter {
         }
     }
 
+    _scheduleReconnect() {
+        const that = this;
+        const delay = this.reconnectDelay;
+        this.reconnectDelay = Math.min(2 * delay, this.reconnect.maxDelay);
+        this.log.debug('reconnect in %d msec', delay);
+        this.emit('reconnecting', delay);
+        this.reconnectTimer = setTimeout(function() {
+            that.reconnectTimer = null;
+            that._connectToAGW();
+        }, delay);
+    }
+
+    /** Restore the state of the previous connection to the TNC. */
+    _reconnected() {
+        const that = this;
+        this.isReconnecting = false;
+        this.log.info('Reconnected to TNC');
+        this.unprotoCalls = {}; // sendUnproto will register them again.
+        if (this.listening) {
+            this.listenPorts.forEach(function(onePort) {
+                that.hosts.forEach(function(oneHost) {
+                    that.toAGW.write({
+                        dataKind: 'X', // Register
+                        port: onePort,
+                        callFrom: oneHost,
+                    });
+                });
+            });
+        }
+        if (this.portRouter.listenerCount('rawFrame') > 0) {
+            this.toAGW.write({dataKind: 'k'}); // enable reception of K frames
+        }
+        if (this.portRouter.listenerCount('monitorFrame') > 0) {
+            this.toAGW.write({dataKind: 'm'}); // enable reception of monitor frames
+        }
+        this.emit('reconnected');
+    }
+
     _connected(options, callback) {
         const that = this;
-        if (!this.ports) {
-            // Postpone until we know what ports exist.
-            this.listenBuffer = [options, callback];
-            return;
-        } else if (this.ports.length <= 0) {
-            this.emit('error', newError('The TNC has no ports.', 'ENOENT'));
-            return;
+        if (!this.listenPorts) { // Listen on all the TNC's ports.
+            if (!this.ports) {
+                // Postpone until we know what ports exist.
+                this.listenBuffer = [options, callback];
+                return;
+            } else if (this.ports.length <= 0) {
+                this.emit('error', newError('The TNC has no ports.', 'ENOENT'));
+                return;
+            }
+            this.listenPorts = this.ports;
         }
         this._address = {
             host: flattenArray(this.hosts),
-            port: flattenArray(this.ports),
+            port: flattenArray(this.listenPorts),
         };
         if (callback) callback(this._address);
         this.emit('listening', this._address);
-        this.ports.forEach(function(onePort) {
+        this.listenPorts.forEach(function(onePort) {
             that.hosts.forEach(function(oneHost) {
                 that.toAGW.write({
                     dataKind: 'X', // Register
@@ -907,6 +1651,17 @@ class Server extends EventEmitter {
         return this._address;
     }
 
+    /** Set parameters of a KISS TNC port, for example
+        {txDelay: 30, persistence: 63, slotTime: 10, txTail: 1, fullDuplex: false}.
+        txDelay, slotTime and txTail are in units of 10 msec.
+    */
+    setKissParameters(port, parameters) {
+        if (!this.isKISS) {
+            throw newError('The TNC protocol is not KISS.', 'ERR_INVALID_ARG_VALUE');
+        }
+        this.toAGW.setParameters(port, parameters);
+    }
+
     onErrorOrTimeout(from) {
         const that = this;
         ['error', 'timeout'].forEach(function(event) {
@@ -918,8 +1673,239 @@ class Server extends EventEmitter {
         });
     }
 
-    setPorts(ports) {
+    /** Return the most recent information about a TNC port, for example
+        {port: 0, description: 'Port1 USB sound card', baudRate: 1200, txDelay: 30, ...}.
+        Also, if callback is a function, get fresh information from the TNC
+        and pass it to callback(err, info).
+    */
+    getPortInfo(port, callback) {
+        const that = this;
+        try {
+            port = guts.validatePort(port);
+            if (callback) {
+                if (this.numberOfPorts != null && port >= this.numberOfPorts) {
+                    throw guts.newRangeError(`The TNC has no port ${port}.`, 'ENOENT');
+                }
+                if (this.isKISS) { // The KISS TNC wouldn't answer.
+                    process.nextTick(function() {
+                        callback(null, that.portInfo[port]);
+                    });
+                } else {
+                    this._query({dataKind: 'g', port: port}, callback);
+                }
+            }
+        } catch(err) {
+            if (!callback) throw err;
+            process.nextTick(callback, err);
+        }
+        return this.portInfo[port];
+    }
+
+    /** Return the most recent version of the TNC software, for example
+        {major: 2005, minor: 127}. Also, if callback is a function,
+        get the version from the TNC and pass it to callback(err, version).
+    */
+    getTNCVersion(callback) {
+        if (callback) {
+            if (this.isKISS) {
+                process.nextTick(callback, newError('A KISS TNC has no version.', 'ENOTSUP'));
+            } else {
+                this._query({dataKind: 'R'}, callback);
+            }
+        }
+        return this.version;
+    }
+
+    /** Return the number of data frames waiting to be transmitted via a port,
+        as of the most recent report from the TNC. Also, if callback is a function,
+        get a fresh report from the TNC and pass the number to callback(err, frames).
+    */
+    getFramesInFlight(port, callback) {
+        try {
+            port = guts.validatePort(port);
+            if (callback) {
+                this._query({dataKind: 'y', port: port}, callback);
+            }
+        } catch(err) {
+            if (!callback) throw err;
+            process.nextTick(callback, err);
+        }
+        const throttle = this.portRouter.clients[port];
+        return throttle ? throttle.getFramesInFlight() : 0;
+    }
+
+    /** Send a query to the TNC, and call back when the answer arrives. */
+    _query(frame, callback) {
+        const that = this;
+        const key = frame.dataKind + (frame.port || 0);
+        const callbacks = this.infoCallbacks[key];
+        if (callbacks) { // A query was already sent.
+            callbacks.push(callback);
+            return;
+        }
+        this.infoCallbacks[key] = [callback];
+        if (this.queryTimeout > 0) {
+            this.infoTimers[key] = setTimeout(function() {
+                that._answer(key, newError(
+                    `The TNC didn't answer a '${frame.dataKind}' query in ${that.queryTimeout} msec.`,
+                    'ETIMEDOUT'));
+            }, this.queryTimeout);
+        }
+        this._connectToAGW(function connected(err) {
+            if (err) {
+                that._answer(key, err);
+            } else {
+                that.toAGW.write(frame);
+            }
+        });
+    }
+
+    _answer(key, err, info) {
+        const callbacks = this.infoCallbacks[key];
+        delete this.infoCallbacks[key];
+        if (this.infoTimers[key]) {
+            clearTimeout(this.infoTimers[key]);
+            delete this.infoTimers[key];
+        }
+        (callbacks || []).forEach(function(callback) {
+            callback(err, info);
+        });
+    }
+
+    _setPortInfo(port, info) {
+        info = Object.assign({port: port}, this.portInfo[port], info);
+        this.log.debug('portInfo %o', info);
+        this.portInfo[port] = info;
+        this._answer('g' + port, null, info);
+    }
+
+    _setVersion(version) {
+        this.log.debug('version %o', version);
+        this.version = version;
+        this._answer('R0', null, version);
+    }
+
+    /** Return the stations heard via a port, most recently heard first, for example
+        [{port: 0, call: 'N0CALL', firstHeard: Date, lastHeard: Date, via: ['DIGI*'], packets: 3}].
+        The list is built from packets received by bound sockets, monitor frames
+        and answers to requestHeardList.
+    */
+    getHeardList(port) {
+        return this.heardList.getList(guts.validatePort(port));
+    }
+
+    /** Ask the TNC for its list of heard stations. The answers are merged
+        into the heard list, as they arrive. Some TNCs don't answer.
+    */
+    requestHeardList(port) {
+        const that = this;
+        port = guts.validatePort(port);
+        this._connectToAGW(function connected(err) {
+            if (err) {
+                that.emit('error', err);
+            } else {
+                that.toAGW.write({dataKind: 'H', port: port});
+            }
+        });
+    }
+
+    _hearFromTNC(frame) {
+        const info = Heard.decodeHeardFrame(frame);
+        if (info) this._heard(this.heardList.merge(info));
+    }
+
+    _hearRawFrame(frame) {
+        try {
+            const packet = guts.decodePacket(frame.data.slice(1));
+            this._heard(this.heardList.hear(frame.port, packet));
+        } catch(err) {
+            this.log.debug(err);
+        }
+    }
+
+    _hearMonitorFrame(frame) {
+        if (this.portRouter.listenerCount('rawFrame') > 0) {
+            return; // The same packet was heard via a raw frame.
+        }
+        const packet = guts.decodeMonitorFrame(frame);
+        if (packet) this._heard(this.heardList.hear(frame.port, packet));
+    }
+
+    _heard(newStation) {
+        if (newStation) this.emit('heard', newStation);
+    }
+
+    /** Return the counters of traffic via connections on the given port,
+        or (if port is null) an object that maps each port to its counters.
+    */
+    getStats(port) {
+        if (port == null) {
+            const result = {};
+            for (const p in this.portStats) {
+                result[p] = this.getStats(p);
+            }
+            return result;
+        }
+        const stats = Object.assign({}, this._getPortStats(port));
+        const connectionRouter = this.portRouter.clients[port] && this.portRouter.clients[port].client;
+        if (connectionRouter) {
+            for (const c in connectionRouter.clients) {
+                stats.blockedTime += connectionRouter.clients[c].getBlockedTime();
+            }
+        }
+        return stats;
+    }
+
+    _getPortStats(port) {
+        var stats = this.portStats[port];
+        if (!stats) {
+            stats = this.portStats[port] = Object.assign(newStats(), {
+                connections: 0, // currently connected
+                totalConnections: 0,
+            });
+        }
+        return stats;
+    }
+
+    /** Remember which links use modulo 128, as evidenced by a monitored packet. */
+    _noteLinkModulo(packet) {
+        if (!packet) return;
+        switch(packet.type) {
+        case 'SABME':
+            this.extendedLinks[getLinkKey(packet.port, packet)] = true;
+            break;
+        case 'SABM':
+        case 'DISC':
+        case 'DM':
+            delete this.extendedLinks[getLinkKey(packet.port, packet)];
+            break;
+        default:
+        }
+    }
+
+    _countTransmission(portThrottle, frame) {
+        const packet = guts.decodeMonitorFrame(frame);
+        this._noteLinkModulo(packet);
+        const connectionRouter = portThrottle.client;
+        if (!connectionRouter) return;
+        if (packet && packet.type == 'I') {
+            packet.modulo = this.extendedLinks[getLinkKey(packet.port, packet)] ? 128 : 8;
+            const throttle = connectionRouter.clients[
+                `${frame.port} ${packet.toAddress} ${packet.fromAddress}`];
+            if (throttle) throttle.countTransmission(packet);
+        }
+    }
+
+    setPorts(ports, descriptions) {
         this.log.debug('setPorts %o', ports);
+        const that = this;
+        this.numberOfPorts = ports.length;
+        (descriptions || []).forEach(function(description, port) {
+            that.portInfo[port] = Object.assign({}, that.portInfo[port], {
+                port: port,
+                description: description,
+            });
+        });
         this.ports = ports;
         if (this.listenBuffer) {
             const options = this.listenBuffer[0];
@@ -929,20 +1915,182 @@ class Server extends EventEmitter {
         }
     }
 
-    close(callback) {
-        this.log.trace('close()');
+    /** Stop accepting connections, and unregister this server's call signs.
+        Then disconnect all the AX.25 connections, and close the connection
+        to the TNC when they're disconnected, or options.timeout msec elapse
+        (default DefaultCloseTimeout). With options.force, destroy the
+        connections immediately, without disconnecting them gracefully.
+    */
+    close(options, callback) {
+        if ((typeof options) == 'function') {
+            callback = options;
+            options = null;
+        }
+        options = options || {};
+        this.log.trace('close(%j)', options);
         if (!this.listening) {
-            if (callback) callback(newError('Server is already closed'));
-        } else {
-            if (this.netSocket) {
-                this.netSocket.destroy();
-                delete this.netSocket;
+            if (callback) callback(newError('Server is already closed', 'ERR_SERVER_NOT_RUNNING'));
+            return;
+        }
+        this.listening = false;
+        this.isClosing = true;
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+        this.isReconnecting = false;
+        for (const key in this.infoCallbacks) {
+            this._answer(key, newError('Server is closed.', 'ERR_SERVER_NOT_RUNNING'));
+        }
+        const that = this;
+        if (this.netSocket) {
+            this._unregisterCalls();
+        }
+        const connections = this._getConnectionThrottles();
+        var deadline = null;
+        const finish = function() {
+            if (deadline) clearTimeout(deadline);
+            if (!that.isClosing) return; // finished already
+            that.isClosing = false;
+            const socket = that.netSocket;
+            if (socket) {
+                delete that.netSocket;
+                if (options.force) {
+                    socket.destroy();
+                } else {
+                    // Send the frames that were written already, and then close:
+                    that.toAGW.unpipe(socket);
+                    socket.end(function() {
+                        socket.destroy();
+                    });
+                }
             }
-            this.listening = false;
-            delete this._address;
-            this.emit('close');
+            delete that._address;
+            that.emit('close');
             if (callback) callback();
+        };
+        if (options.force || connections.length <= 0 || !this.netSocket) {
+            connections.forEach(function(throttle) {
+                throttle.client.destroy();
+            });
+            finish();
+            return;
         }
+        var remaining = connections.length;
+        this.log.debug('disconnect %d connections', remaining);
+        connections.forEach(function(throttle) {
+            throttle.once('close', function() {
+                if (--remaining <= 0) finish();
+            });
+            throttle.client.end();
+        });
+        deadline = setTimeout(function() {
+            deadline = null;
+            that.log.debug('close timed out; destroy %d connections', remaining);
+            connections.forEach(function(throttle) {
+                throttle.client.destroy();
+            });
+            finish();
+        }, (options.timeout != null) ? options.timeout : DefaultCloseTimeout);
+    }
+
+    /** Decide whether to accept a connection that the TNC received.
+        Call onAdmitted if it's accepted; otherwise disconnect it.
+    */
+    _admitConnection(connection, onAdmitted) {
+        const that = this;
+        const info = {
+            port: connection.port,
+            localAddress: connection.localAddress,
+            remoteAddress: connection.remoteAddress,
+            via: connection.via.slice(),
+        };
+        const refuse = function(reason) {
+            that.log.info('refuse connection from %s to %s via port %d (%s)',
+                          info.remoteAddress, info.localAddress, info.port, reason);
+            that.emit('refused', Object.assign({reason: reason}, info));
+            if (that.options.refusalMessage && reason != 'closing') {
+                connection.end(that.options.refusalMessage);
+            } else {
+                connection.end();
+            }
+        };
+        const accept = function() {
+            if (connection.isClosed) return; // disconnected meanwhile
+            if (that.isClosing) return refuse('closing');
+            const host = info.localAddress;
+            var total = 0;
+            for (const h in that.admitted) total += that.admitted[h];
+            if (that.maxConnections != null && total >= that.maxConnections) {
+                return refuse('too many connections');
+            }
+            if (that.maxConnectionsPerHost != null
+                && (that.admitted[host] || 0) >= that.maxConnectionsPerHost) {
+                return refuse(`too many connections to ${host}`);
+            }
+            that.admitted[host] = (that.admitted[host] || 0) + 1;
+            connection.once('close', function() {
+                if (--that.admitted[host] <= 0) delete that.admitted[host];
+            });
+            onAdmitted();
+        };
+        if (this.isClosing) return refuse('closing');
+        if (this.denyList && this.denyList.matches(info.port, info.remoteAddress)) {
+            return refuse('denied');
+        }
+        if (this.allowList && !this.allowList.matches(info.port, info.remoteAddress)) {
+            return refuse('not allowed');
+        }
+        const onRequest = this.options.onConnectionRequest;
+        if (!onRequest) return accept();
+        new Promise(function(resolve) {
+            resolve(onRequest(info));
+        }).then(function(ok) {
+            if (ok) {
+                accept();
+            } else {
+                refuse('rejected');
+            }
+        }, function(err) {
+            that.log.warn(err, 'onConnectionRequest');
+            refuse('rejected');
+        });
+    }
+
+    /** Tell the TNC not to accept connections to this server's call signs. */
+    _unregisterCalls() {
+        const that = this;
+        const calls = {}; // port and call sign => [port, call sign]
+        (this.listenPorts || []).forEach(function(port) {
+            that.hosts.forEach(function(host) {
+                calls[`${port} ${host}`] = [port, host];
+            });
+        });
+        for (const key in this.unprotoCalls) {
+            calls[key] = key.split(' ');
+        }
+        for (const key in calls) {
+            this.toAGW.write({
+                dataKind: 'x', // Unregister
+                port: parseInt(calls[key][0]),
+                callFrom: calls[key][1],
+            });
+        }
+        this.unprotoCalls = {};
+    }
+
+    /** Return the ConnectionThrottle of every AX.25 connection. */
+    _getConnectionThrottles() {
+        const result = [];
+        for (const p in this.portRouter.clients) {
+            const connectionRouter = this.portRouter.clients[p].client;
+            if (connectionRouter) {
+                for (const c in connectionRouter.clients) {
+                    result.push(connectionRouter.clients[c]);
+                }
+            }
+        }
+        return result;
     }
 
     createConnection(options, onConnected) {
@@ -958,7 +2106,7 @@ class Server extends EventEmitter {
         }
         const localAddress = guts.validateCallSign('local', options.localAddress);
         const remoteAddress = guts.validateCallSign('remote', options.remoteAddress);
-        const via = guts.validatePath(options.via);
+        const paths = getConnectPaths(options);
         const that = this;
         const portThrottle = this.portRouter.getClientFor({port: localPort});
         const connectionRouter = portThrottle.client;
@@ -979,8 +2127,11 @@ class Server extends EventEmitter {
                 that.hosts.push(localAddress);
             }
         });
+        if (options.noDelay != null) connection.setNoDelay(options.noDelay);
+        if (options.writeDelay != null) connection.setWriteDelay(options.writeDelay);
         connection.on('connected', function(data) {
             connectionThrottle.write(connectionThrottle.queryFramesInFlight());
+            if (options.timeout) connection.setTimeout(options.timeout);
             onConnected(data);
         });
         if (this.hosts.indexOf(localAddress) < 0) {
@@ -990,10 +2141,55 @@ class Server extends EventEmitter {
                 callFrom: localAddress,
             });
         }
-        connectionThrottle.write(guts.connectFrame(localPort, localAddress, remoteAddress, via));
+        connectionThrottle.connect(paths, options);
         return connection;
     } // createConnection
 
+    /** Transmit data in a UI packet, via the TNC's UNPROTO service, for example
+        {port: 0, from: 'N0CALL', to: 'BEACON', via: ['WIDE2-1'], data: 'hello'}.
+        callback(err) is called when the TNC has accepted the packet.
+    */
+    sendUnproto(options, callback) {
+        try {
+            if (!options) throw newError('no options', 'ERR_INVALID_ARG_VALUE');
+            const port = guts.validatePort(options.port || 0);
+            if (this.numberOfPorts != null && port >= this.numberOfPorts) {
+                throw guts.newRangeError(`The TNC has no port ${port}.`, 'ENOENT');
+            }
+            const from = guts.validateCallSign('local', options.from);
+            const to = guts.validateCallSign('remote', options.to);
+            const via = guts.validatePath(options.via);
+            const data = ((typeof options.data) == 'string')
+                  ? Buffer.from(options.data, options.encoding || 'utf-8')
+                  : (options.data || EmptyBuffer);
+            if (!Buffer.isBuffer(data)) {
+                throw guts.newTypeError(`options.data is a ${typeof data} (not a string or Buffer).`);
+            }
+            const frame = guts.unprotoFrame(port, from, to, via, options.PID, data);
+            const that = this;
+            this._connectToAGW(function connected(err) {
+                if (err) {
+                    if (callback) callback(err);
+                    return;
+                }
+                const portThrottle = that.portRouter.getClientFor({port: port});
+                const key = `${port} ${from}`;
+                if (that.hosts.indexOf(from) < 0 && !that.unprotoCalls[key]) {
+                    that.unprotoCalls[key] = true;
+                    portThrottle.write({
+                        dataKind: 'X', // Register
+                        port: port,
+                        callFrom: from,
+                    });
+                }
+                portThrottle.write(frame, callback);
+            });
+        } catch(err) {
+            if (!callback) throw err;
+            process.nextTick(callback, err);
+        }
+    }
+
 } // Server
 
 exports.Server = Server;
@@ -1002,4 +2198,5 @@ exports.Server = Server;
 exports.Connection = Connection;
 exports.ConnectionThrottle = ConnectionThrottle;
 exports.FrameAssembler = FrameAssembler;
+exports.getConnectPaths = getConnectPaths;
 exports.newError = newError;
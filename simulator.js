@@ -0,0 +1,554 @@
+'use strict';
+/** A simulated AGWPE TNC, for testing and offline development. */
+/*
+Each client of the simulator (for example a Server) connects to it via TCP,
+like a client of an AGWPE TNC. All the clients share simulated radio channels,
+one channel per TNC port. So clients can connect to each other and exchange
+UNPROTO packets. A port may be looped back to another port, as though their
+sound cards were connected by a cable: packets transmitted via one port are
+received via the other.
+
+       client        client
+      --------      --------
+        ^  |          ^  |
+        |  v          |  v
+    ----------------------------
+    Sender  Receiver  (per client)
+    ----------------------------
+            Simulator
+*/
+
+const EventEmitter = require('events');
+const guts = require('./guts.js');
+const Heard = require('./heard.js');
+const Net = require('net');
+
+const DefaultPorts = 2;
+const DefaultRetries = 10;
+const DefaultRetryTime = 3000; // msec
+const DefaultVersion = {major: 2005, minor: 127};
+
+function pad2(n) {
+    return ((n < 10) ? '0' : '') + n;
+}
+
+/** Format the text of an AGWPE monitor frame ('U', 'I', 'S' or 'T'), like this:
+    " 1:Fm N0CALL To APRS Via WIDE2-1 <UI pid=F0 Len=5 >[13:45:07]\rhello\r"
+*/
+function formatMonitorText(port, packet, date) {
+    const when = date || new Date();
+    var text = ` ${port + 1}:Fm ${packet.fromAddress} To ${packet.toAddress}`;
+    if (packet.via && packet.via.length > 0) {
+        text += ' Via ' + packet.via.join(',');
+    }
+    text += ` <${packet.type}`;
+    if (packet.P) text += ' P';
+    if (packet.F) text += ' F';
+    if (packet.type == 'I') text += ` R${packet.NR} S${packet.NS}`;
+    if (packet.NR != null && packet.type != 'I') text += ` R${packet.NR}`;
+    const info = packet.info;
+    if (packet.type == 'I' || packet.type == 'UI') {
+        const PID = (packet.PID != null) ? packet.PID : 0xF0;
+        text += ` pid=${guts.hexByte(PID).toUpperCase()} Len=${info ? info.length : 0}`;
+    }
+    text += ` >[${pad2(when.getHours())}:${pad2(when.getMinutes())}:${pad2(when.getSeconds())}]\r`;
+    if (info && info.length > 0) {
+        text += info.toString('binary') + '\r';
+    }
+    return Buffer.from(text, 'binary');
+}
+
+/** The simulator's side of a TCP connection from a client. */
+class Client {
+
+    constructor(simulator, socket, id) {
+        const that = this;
+        this.simulator = simulator;
+        this.socket = socket;
+        this.id = id;
+        this.raw = false; // whether to send 'K' frames
+        this.monitor = false; // whether to send monitor frames
+        this.pending = {}; // port => number of UNPROTO frames not yet transmitted
+        this.toClient = new guts.Sender(simulator.options);
+        this.fromClient = new guts.Receiver(simulator.options);
+        this.fromClient.client = {
+            onFrameFromAGW: function(frame) {
+                simulator.onFrameFromClient(that, frame);
+            },
+        };
+        socket.pipe(this.fromClient);
+        this.toClient.pipe(socket);
+    }
+
+    send(frame) {
+        if (!this.isClosed) this.toClient.write(frame);
+    }
+} // Client
+
+/** Exchanges AGWPE frames with clients via TCP, simulating
+    an AGWPE TNC and the stations that communicate via it.
+*/
+class Simulator extends EventEmitter {
+
+    constructor(options) {
+        super();
+        this.options = options || {};
+        this.log = guts.getLogger(this.options, this);
+        this.log.debug('new(%j)', Object.assign({}, this.options, {logger: undefined}));
+        const ports = (this.options.ports != null) ? this.options.ports : DefaultPorts;
+        this.ports = Array.isArray(ports) ? ports
+            : Array.from({length: ports}, function(v, p) {return `Port${p + 1} simulated`;});
+        this.loopback = {}; // port => ports that receive its transmissions
+        const that = this;
+        (this.options.loopback || []).forEach(function(pair) {
+            const a = guts.validatePort(pair[0]);
+            const b = guts.validatePort(pair[1]);
+            that.loopback[a] = (that.loopback[a] || []).concat([b]);
+            that.loopback[b] = (that.loopback[b] || []).concat([a]);
+        });
+        this.latency = this.options.latency || 0; // msec
+        this.loss = this.options.loss || 0; // probability of losing a packet
+        this.retries = (this.options.retries != null) ? this.options.retries : DefaultRetries;
+        this.retryTime = (this.options.retryTime != null) ? this.options.retryTime : DefaultRetryTime;
+        this.random = this.options.random || Math.random;
+        this.version = this.options.version || DefaultVersion;
+        this.clients = [];
+        this.nextClientID = 1;
+        this.registered = {}; // port and call sign => Client
+        this.links = {}; // port, local and remote call signs => one end of a link
+        this.bytesReceived = {}; // port => number
+        this.heardList = new Heard.HeardList();
+        this.timeouts = [];
+        this.netServer = Net.createServer(function(socket) {
+            that.onConnection(socket);
+        });
+        this.netServer.on('error', function(err) {
+            that.emit('error', err);
+        });
+        this.netServer.on('listening', function() {
+            that.emit('listening', that.address());
+        });
+    }
+
+    /** Listen for TCP connections from clients, like net.Server.listen. */
+    listen(options, callback) {
+        this.log.debug('listen(%j, %s)', options, typeof callback);
+        this.netServer.listen(options, callback);
+    }
+
+    address() {
+        return this.netServer.address();
+    }
+
+    /** Disconnect all clients and stop listening. */
+    close(callback) {
+        this.log.debug('close(%s)', typeof callback);
+        this.timeouts.forEach(clearTimeout);
+        this.timeouts = [];
+        this.clients.slice().forEach(function(client) {
+            client.socket.destroy();
+        });
+        const that = this;
+        this.netServer.close(function(err) {
+            that.emit('close');
+            if (callback) callback(err);
+        });
+    }
+
+    onConnection(socket) {
+        const that = this;
+        const client = new Client(this, socket, this.nextClientID++);
+        this.log.debug('client %d connected', client.id);
+        this.clients.push(client);
+        socket.on('error', function(err) {
+            that.log.debug(err, 'client %d', client.id);
+        });
+        socket.on('close', function() {
+            that.onClientClosed(client);
+        });
+    }
+
+    onClientClosed(client) {
+        this.log.debug('client %d closed', client.id);
+        client.isClosed = true;
+        this.clients = this.clients.filter(function(c) {return c !== client;});
+        for (const key in this.registered) {
+            if (this.registered[key] === client) delete this.registered[key];
+        }
+        for (const key in this.links) {
+            const end = this.links[key];
+            if (end && end.client === client) {
+                this.disconnect(end, guts.newError('closed'));
+            }
+        }
+    }
+
+    /** Call a function after a delay, unless the simulator is closed first. */
+    schedule(delay, func) {
+        const that = this;
+        const timeout = setTimeout(function() {
+            that.timeouts = that.timeouts.filter(function(t) {return t !== timeout;});
+            func();
+        }, delay);
+        this.timeouts.push(timeout);
+    }
+
+    /** The ports that receive packets transmitted via the given port. */
+    getReceivingPorts(port) {
+        return [port].concat(this.loopback[port] || []);
+    }
+
+    onFrameFromClient(client, frame) {
+        try {
+            if (this.log.trace()) this.log.trace('client %d > %s', client.id, guts.getFrameSummary(frame));
+            switch(frame.dataKind) {
+            case 'G': // available ports
+                client.send({
+                    dataKind: 'G',
+                    data: this.ports.length + ';' + this.ports.map(function(p) {
+                        return p + ';';
+                    }).join(''),
+                });
+                break;
+            case 'g': // capabilities of a port
+                client.send({dataKind: 'g', port: frame.port, data: this.getCapabilities(frame.port)});
+                break;
+            case 'R': // version
+                const version = Buffer.alloc(8);
+                version.writeUInt16LE(this.version.major, 0);
+                version.writeUInt16LE(this.version.minor, 4);
+                client.send({dataKind: 'R', data: version});
+                break;
+            case 'X': // register a call sign
+                const key = `${frame.port} ${frame.callFrom}`;
+                const other = this.registered[key];
+                const ok = (frame.port < this.ports.length) && (!other || other === client);
+                if (ok) this.registered[key] = client;
+                client.send({
+                    dataKind: 'X',
+                    port: frame.port,
+                    callFrom: frame.callFrom,
+                    data: Buffer.from([ok ? 1 : 0]),
+                });
+                break;
+            case 'x': // unregister a call sign
+                if (this.registered[`${frame.port} ${frame.callFrom}`] === client) {
+                    delete this.registered[`${frame.port} ${frame.callFrom}`];
+                }
+                break;
+            case 'k': // toggle raw frames
+                client.raw = !client.raw;
+                break;
+            case 'm': // toggle monitor frames
+                client.monitor = !client.monitor;
+                break;
+            case 'H': // heard stations
+                this.heardList.getList(frame.port).forEach(function(station) {
+                    client.send({
+                        dataKind: 'H',
+                        port: frame.port,
+                        callFrom: station.call,
+                        data: Heard.encodeHeardData(station),
+                    });
+                });
+                break;
+            case 'y': // frames waiting to be transmitted via a port
+                client.send(this.inFlightFrame(frame, client.pending[frame.port] || 0));
+                break;
+            case 'Y': // frames waiting to be transmitted to one station
+                const end = this.links[this.getLinkKey(frame.port, frame.callFrom, frame.callTo)];
+                client.send(this.inFlightFrame(frame, end ? end.pending : 0));
+                break;
+            case 'M': // UNPROTO
+            case 'V': // UNPROTO via digipeaters
+            case 'K': // raw AX.25
+                this.transmitUnproto(client, frame);
+                break;
+            case 'C': // connect
+            case 'c': // connect with a PID
+            case 'v': // connect via digipeaters
+                this.connect(client, frame);
+                break;
+            case 'D': // connected data
+                this.sendData(client, frame);
+                break;
+            case 'd': // disconnect
+                const myEnd = this.links[this.getLinkKey(frame.port, frame.callFrom, frame.callTo)];
+                if (myEnd) this.disconnect(myEnd);
+                break;
+            default:
+                this.log.debug('ignore %s', guts.getFrameSummary(frame));
+            }
+        } catch(err) {
+            this.log.debug(err);
+            this.emit('error', err);
+        }
+    }
+
+    getCapabilities(port) {
+        var connections = 0;
+        for (const key in this.links) {
+            if (this.links[key].port == port) ++connections;
+        }
+        const data = Buffer.alloc(12);
+        data[0] = 0; // 1200 baud
+        data[1] = 0; // traffic level
+        data[2] = 30; // TX delay
+        data[3] = 10; // TX tail
+        data[4] = 63; // persistence
+        data[5] = 10; // slot time
+        data[6] = 7; // max frame
+        data[7] = Math.min(255, connections);
+        data.writeUInt32LE(this.bytesReceived[port] || 0, 8);
+        return data;
+    }
+
+    inFlightFrame(frame, count) {
+        const data = Buffer.alloc(4);
+        data.writeUInt32LE(count, 0);
+        return {
+            dataKind: frame.dataKind,
+            port: frame.port,
+            callFrom: frame.callFrom,
+            callTo: frame.callTo,
+            data: data,
+        };
+    }
+
+    isLost() {
+        return this.loss > 0 && this.random() < this.loss;
+    }
+
+    /** Show a packet to the clients that monitor the port, and count its bytes. */
+    monitorPacket(sender, port, packet) {
+        const that = this;
+        const encoded = guts.encodePacket(Object.assign({}, packet, {port: port}));
+        const raw = Buffer.alloc(encoded.length + 1);
+        encoded.copy(raw, 1);
+        this.getReceivingPorts(port).forEach(function(toPort) {
+            that.bytesReceived[toPort] = (that.bytesReceived[toPort] || 0) + encoded.length;
+            that.heardList.hear(toPort, packet);
+            raw[0] = toPort << 4;
+            that.clients.forEach(function(client) {
+                if (client === sender && toPort == port) {
+                    if (client.monitor) {
+                        client.send({
+                            dataKind: 'T', port: port,
+                            callFrom: packet.fromAddress, callTo: packet.toAddress,
+                            data: formatMonitorText(port, packet),
+                        });
+                    }
+                    return; // A TNC doesn't receive its own transmissions.
+                }
+                if (client.raw) {
+                    client.send({dataKind: 'K', port: toPort, data: Buffer.from(raw)});
+                }
+                if (client.monitor) {
+                    client.send({
+                        dataKind: (packet.type == 'UI') ? 'U'
+                            : (packet.type == 'I') ? 'I'
+                            : 'S',
+                        port: toPort,
+                        callFrom: packet.fromAddress,
+                        callTo: packet.toAddress,
+                        PID: packet.PID,
+                        data: formatMonitorText(toPort, packet),
+                    });
+                }
+            });
+        });
+    }
+
+    transmitUnproto(client, frame) {
+        var packet;
+        if (frame.dataKind == 'K') {
+            packet = guts.decodePacket(frame.data.slice(1));
+        } else {
+            const decoded = (frame.dataKind == 'V') ? guts.decodeViaData(frame.data)
+                  : {via: [], data: frame.data};
+            packet = {
+                type: 'UI',
+                command: true,
+                toAddress: frame.callTo,
+                fromAddress: frame.callFrom,
+                via: decoded.via,
+                PID: frame.PID,
+                info: decoded.data,
+            };
+        }
+        const port = frame.port;
+        client.pending[port] = (client.pending[port] || 0) + 1;
+        const that = this;
+        const lost = this.isLost();
+        this.schedule(this.latency, function() {
+            --client.pending[port];
+            if (lost) {
+                that.log.debug('lost %j', packet);
+            } else {
+                that.monitorPacket(client, port, packet);
+            }
+        });
+    }
+
+    getLinkKey(port, myCall, theirCall) {
+        return `${port} ${myCall} ${theirCall}`;
+    }
+
+    /** Compute the delay to transmit a packet, including retries.
+        Return null if all the retries fail.
+    */
+    getDelay() {
+        var delay = this.latency;
+        for (var r = 0; this.isLost(); ++r) {
+            if (r >= this.retries) return null;
+            delay += this.retryTime;
+        }
+        return delay;
+    }
+
+    connect(client, frame) {
+        const myCall = frame.callFrom;
+        const theirCall = frame.callTo;
+        const port = frame.port;
+        const via = (frame.dataKind == 'v') ? guts.decodeViaData(frame.data).via : [];
+        if (this.links[this.getLinkKey(port, myCall, theirCall)]) {
+            this.log.debug('already connected %s', guts.getFrameSummary(frame));
+            return;
+        }
+        const that = this;
+        const myEnd = {
+            client: client, port: port, myCall: myCall, theirCall: theirCall,
+            via: via, pending: 0, NS: 0, NR: 0, lastDelivery: 0,
+        };
+        this.links[this.getLinkKey(port, myCall, theirCall)] = myEnd;
+        var theirEnd = null;
+        this.getReceivingPorts(port).forEach(function(toPort) {
+            const target = that.registered[`${toPort} ${theirCall}`];
+            if (target && !theirEnd && !(toPort == port && target === client && myCall == theirCall)) {
+                theirEnd = {
+                    client: target, port: toPort, myCall: theirCall, theirCall: myCall,
+                    via: via.slice().reverse(), pending: 0, NS: 0, NR: 0, lastDelivery: 0,
+                };
+            }
+        });
+        const delay = this.getDelay();
+        this.monitorPacket(client, port, {
+            type: 'SABM', command: true, P: true,
+            toAddress: theirCall, fromAddress: myCall, via: via,
+        });
+        if (!theirEnd || delay == null || this.links[this.getLinkKey(theirEnd.port, theirCall, myCall)]) {
+            this.schedule((this.retries + 1) * this.retryTime, function() {
+                if (that.links[that.getLinkKey(port, myCall, theirCall)] === myEnd) {
+                    delete that.links[that.getLinkKey(port, myCall, theirCall)];
+                    client.send({
+                        dataKind: 'd', port: port, callFrom: theirCall, callTo: myCall,
+                        data: `*** DISCONNECTED RETRYOUT With ${theirCall}\r`,
+                    });
+                }
+            });
+            return;
+        }
+        myEnd.other = theirEnd;
+        theirEnd.other = myEnd;
+        this.links[this.getLinkKey(theirEnd.port, theirCall, myCall)] = theirEnd;
+        this.schedule(delay, function() {
+            if (myEnd.other !== theirEnd) return; // disconnected already
+            theirEnd.client.send({
+                dataKind: 'C', port: theirEnd.port, callFrom: myCall, callTo: theirCall,
+                data: `*** CONNECTED With Station ${myCall}`
+                    + (via.length ? ` via ${via.join(',')}\r` : '\r'),
+            });
+            that.monitorPacket(theirEnd.client, theirEnd.port, {
+                type: 'UA', response: true, F: true,
+                toAddress: myCall, fromAddress: theirCall, via: theirEnd.via,
+            });
+            that.schedule(that.latency, function() {
+                if (myEnd.other !== theirEnd) return;
+                client.send({
+                    dataKind: 'C', port: port, callFrom: theirCall, callTo: myCall,
+                    data: `*** CONNECTED To Station ${theirCall}\r`,
+                });
+            });
+        });
+    }
+
+    /** Compute when a frame will be delivered to the other end of a link,
+        after the frames that are already in flight.
+    */
+    getDeliveryTime(end, delay) {
+        const now = Date.now();
+        end.lastDelivery = Math.max(end.lastDelivery, now + delay);
+        return end.lastDelivery - now;
+    }
+
+    sendData(client, frame) {
+        const end = this.links[this.getLinkKey(frame.port, frame.callFrom, frame.callTo)];
+        if (!end || !end.other) {
+            this.log.debug('not connected %s', guts.getFrameSummary(frame));
+            return;
+        }
+        const that = this;
+        const delay = this.getDelay();
+        if (delay == null) {
+            this.disconnect(end, null, true);
+            return;
+        }
+        const packet = {
+            type: 'I', command: true, NS: end.NS, NR: end.NR,
+            toAddress: end.theirCall, fromAddress: end.myCall, via: end.via,
+            PID: frame.PID, info: frame.data,
+        };
+        end.NS = (end.NS + 1) % 8;
+        ++end.pending;
+        this.schedule(this.getDeliveryTime(end, delay), function() {
+            --end.pending;
+            const other = end.other;
+            if (!other) return; // disconnected
+            other.NR = (other.NR + 1) % 8;
+            that.monitorPacket(client, end.port, packet);
+            other.client.send({
+                dataKind: 'D', port: other.port, callFrom: end.myCall, callTo: end.theirCall,
+                PID: frame.PID, data: frame.data,
+            });
+        });
+    }
+
+    /** Disconnect both ends of a link, after data in flight is delivered. */
+    disconnect(end, closed, retryout) {
+        const that = this;
+        const other = end.other;
+        const endKey = this.getLinkKey(end.port, end.myCall, end.theirCall);
+        if (this.links[endKey] === end) delete this.links[endKey];
+        if (other) {
+            const otherKey = this.getLinkKey(other.port, other.myCall, other.theirCall);
+            if (this.links[otherKey] === other) delete this.links[otherKey];
+        }
+        const text = function(call) {
+            return retryout ? `*** DISCONNECTED RETRYOUT With ${call}\r`
+                : `*** DISCONNECTED From Station ${call}\r`;
+        };
+        this.schedule(this.getDeliveryTime(end, this.latency), function() {
+            end.other = null;
+            if (other) {
+                other.other = null;
+                if (!closed) {
+                    that.monitorPacket(end.client, end.port, {
+                        type: 'DISC', command: true, P: true,
+                        toAddress: end.theirCall, fromAddress: end.myCall, via: end.via,
+                    });
+                }
+                other.client.send({
+                    dataKind: 'd', port: other.port, callFrom: end.myCall, callTo: end.theirCall,
+                    data: text(end.myCall),
+                });
+            }
+            end.client.send({
+                dataKind: 'd', port: end.port, callFrom: end.theirCall, callTo: end.myCall,
+                data: text(end.theirCall),
+            });
+        });
+    }
+} // Simulator
+
+exports.formatMonitorText = formatMonitorText;
+exports.Simulator = Simulator;
@@ -0,0 +1,197 @@
+const APRS = require('../../aprs.js');
+
+function newPacket(info, toAddress) {
+    return {
+        port: 0,
+        type: 'UI',
+        toAddress: toAddress || 'APRS',
+        fromAddress: 'N0CALL',
+        info: Buffer.from(info, 'binary'),
+    };
+}
+
+function decode(info, toAddress) {
+    return APRS.decode(newPacket(info, toAddress));
+}
+
+/** Expect that encoding data produces info, and decoding info produces data. */
+function expectRoundTrip(info, data) {
+    expect(decode(info)).toEqual(data);
+    expect(APRS.encode(data).info.toString('binary')).toEqual(info);
+}
+
+describe('APRS', function() {
+
+    it('should ignore non-APRS packets', function() {
+        expect(APRS.decode(Object.assign(newPacket('!'), {type: 'I'}))).toBeNull();
+        expect(APRS.decode(Object.assign(newPacket('!'), {PID: 0xCF}))).toBeNull();
+    });
+
+    it('should parse uncompressed positions', function() {
+        expectRoundTrip('!4903.50N/07201.75W-Test 001234', {
+            type: 'position',
+            latitude: 49 + (3.5 / 60),
+            longitude: -(72 + (1.75 / 60)),
+            symbolTable: '/',
+            symbolCode: '-',
+            comment: 'Test 001234',
+        });
+        expectRoundTrip('@092345z4903.50N/07201.75W>088/036/A=001234', {
+            type: 'position',
+            messaging: true,
+            timestamp: {day: 9, hour: 23, minute: 45, zulu: true},
+            latitude: 49 + (3.5 / 60),
+            longitude: -(72 + (1.75 / 60)),
+            symbolTable: '/',
+            symbolCode: '>',
+            course: 88,
+            speed: 36,
+            altitude: 1234,
+        });
+        expect(decode('!49  .  N/07201.75W-').ambiguity).toEqual(4);
+    });
+
+    it('should parse compressed positions', function() {
+        const data = decode('=/5L!!<*e7>7P[');
+        expect(data).toEqual(jasmine.objectContaining({
+            type: 'position',
+            messaging: true,
+            compressed: true,
+            symbolTable: '/',
+            symbolCode: '>',
+            course: 88,
+            speed: 36,
+        }));
+        expect(data.latitude).toBeCloseTo(49.5, 4);
+        expect(data.longitude).toBeCloseTo(-72.75, 4);
+        expect(APRS.encode(data).info.toString('binary')).toEqual('=/5L!!<*e7>7PY');
+    });
+
+    it('should parse Mic-E', function() {
+        const data = {
+            type: 'position',
+            format: 'Mic-E',
+            latitude: 33 + (25.64 / 60),
+            longitude: -(112 + (7.74 / 60)),
+            speed: 20,
+            course: 251,
+            symbolTable: '/',
+            symbolCode: '>',
+            altitude: 200,
+            micE: {message: 'En Route'},
+            comment: 'Hello',
+        };
+        const packet = APRS.encode(data);
+        expect(packet.toAddress).toEqual('SS2UVT');
+        const decoded = APRS.decode(Object.assign(newPacket(''), packet));
+        expect(decoded.latitude).toBeCloseTo(data.latitude, 6);
+        expect(decoded.longitude).toBeCloseTo(data.longitude, 6);
+        expect(Object.assign(decoded, {
+            latitude: data.latitude,
+            longitude: data.longitude,
+        })).toEqual(data);
+    });
+
+    it('should parse objects and items', function() {
+        expectRoundTrip(';LEADER   *092345z4903.50N/07201.75W>088/036', {
+            type: 'object',
+            name: 'LEADER',
+            alive: true,
+            timestamp: {day: 9, hour: 23, minute: 45, zulu: true},
+            latitude: 49 + (3.5 / 60),
+            longitude: -(72 + (1.75 / 60)),
+            symbolTable: '/',
+            symbolCode: '>',
+            course: 88,
+            speed: 36,
+        });
+        expectRoundTrip(')AID #2_4903.50N/07201.75WA', {
+            type: 'item',
+            name: 'AID #2',
+            alive: false,
+            latitude: 49 + (3.5 / 60),
+            longitude: -(72 + (1.75 / 60)),
+            symbolTable: '/',
+            symbolCode: 'A',
+        });
+    });
+
+    it('should parse messages', function() {
+        expectRoundTrip(':WU2Z     :Testing{003', {
+            type: 'message',
+            addressee: 'WU2Z',
+            text: 'Testing',
+            id: '003',
+        });
+        expectRoundTrip(':WU2Z     :Testing', {
+            type: 'message',
+            addressee: 'WU2Z',
+            text: 'Testing',
+        });
+        expectRoundTrip(':WU2Z     :Reply{MM}AA', {
+            type: 'message',
+            addressee: 'WU2Z',
+            text: 'Reply',
+            id: 'MM',
+            replyAckCapable: true,
+            replyAck: 'AA',
+        });
+        expectRoundTrip(':KB2ICI-14:ack003', {type: 'ack', addressee: 'KB2ICI-14', id: '003'});
+        expectRoundTrip(':KB2ICI-14:rej003', {type: 'rej', addressee: 'KB2ICI-14', id: '003'});
+        expect(decode(':KB2ICI-14:ackMM}AA')).toEqual({type: 'ack', addressee: 'KB2ICI-14', id: 'MM'});
+    });
+
+    it('should parse status', function() {
+        expectRoundTrip('>Net Control Center', {type: 'status', text: 'Net Control Center'});
+        expectRoundTrip('>092345zNet Control Center', {
+            type: 'status',
+            timestamp: {day: 9, hour: 23, minute: 45, zulu: true},
+            text: 'Net Control Center',
+        });
+    });
+
+    it('should parse weather', function() {
+        const weather = {
+            windDirection: 220,
+            windSpeed: 4,
+            windGust: 5,
+            temperature: 77,
+            rain1h: 0,
+            rain24h: 0,
+            rainSinceMidnight: 0,
+            humidity: 50,
+            pressure: 990,
+        };
+        expectRoundTrip('_10090556c220s004g005t077r000p000P000h50b09900wRSW', {
+            type: 'weather',
+            timestamp: {month: 10, day: 9, hour: 5, minute: 56},
+            weather: weather,
+            comment: 'wRSW',
+        });
+        expectRoundTrip('!4903.50N/07201.75W_220/004g005t077r000p000P000h50b09900wRSW', {
+            type: 'weather',
+            latitude: 49 + (3.5 / 60),
+            longitude: -(72 + (1.75 / 60)),
+            symbolTable: '/',
+            symbolCode: '_',
+            weather: weather,
+            comment: 'wRSW',
+        });
+        expect(decode('_10090556c...s...g...t-05').weather).toEqual({temperature: -5});
+    });
+
+    it('should parse telemetry', function() {
+        expectRoundTrip('T#005,199,000,255,073,123,01101001', {
+            type: 'telemetry',
+            sequence: 5,
+            analog: [199, 0, 255, 73, 123],
+            digital: [false, true, true, false, true, false, false, true],
+        });
+    });
+
+    it('should reject malformed data', function() {
+        expect(function() {decode('!4903.50X/07201.75W-');}).toThrowError();
+        expect(decode('<hello').type).toEqual('unknown');
+    });
+
+}); // APRS
@@ -0,0 +1,192 @@
+const AX25 = require('../../ax25link.js');
+const guts = require('../../guts.js');
+
+/** Two LinkLayers, which exchange packets via a simulated radio channel. */
+class Channel {
+    constructor(options) {
+        const that = this;
+        this.queue = [];
+        this.sent = []; // packet types
+        this.frames = {A: [], B: []};
+        this.lose = function(packet) {return false;};
+        ['A', 'B'].forEach(function(station) {
+            const other = (station == 'A') ? 'B' : 'A';
+            that[station] = new AX25.LinkLayer(options, function toTNC(packet) {
+                that.sent.push(station + ' ' + packet.type);
+                // Encode and decode, to verify the packet is valid.
+                const decoded = guts.decodePacket(guts.encodePacket(packet));
+                decoded.port = packet.port;
+                if (!that.lose(decoded)) {
+                    that.queue.push(function() {
+                        that[other].onPacket(decoded);
+                    });
+                }
+            }, function toClient(frame) {
+                that.frames[station].push(frame);
+            });
+        });
+        this.A.register(0, 'A1CALL');
+        this.B.register(0, 'B2CALL');
+    }
+
+    /** Deliver packets until the channel is quiet, then advance the clock. */
+    run(msec) {
+        for (var t = 0; t <= msec; t += 10) {
+            while (this.queue.length > 0) {
+                this.queue.shift()();
+            }
+            jasmine.clock().tick(10);
+        }
+        while (this.queue.length > 0) {
+            this.queue.shift()();
+        }
+    }
+
+    getData(station) {
+        return Buffer.concat(this.frames[station].filter(function(frame) {
+            return frame.dataKind == 'D';
+        }).map(function(frame) {
+            return frame.data;
+        })).toString('binary');
+    }
+
+    getTexts(station) {
+        return this.frames[station].filter(function(frame) {
+            return frame.dataKind != 'D' && frame.dataKind != 'Y';
+        }).map(function(frame) {
+            return frame.dataKind + ' ' + frame.data;
+        });
+    }
+}
+
+function fromA(dataKind, data) {
+    return {
+        dataKind: dataKind,
+        port: 0,
+        callFrom: 'A1CALL',
+        callTo: 'B2CALL',
+        data: data,
+    };
+}
+
+describe('AX25 link', function() {
+
+    const longText = 'Now is the time for all good men to come to the aid of their country.\r';
+    var message = '';
+    while (message.length < 1000) message += longText;
+
+    beforeEach(function() {
+        jasmine.clock().install();
+    });
+
+    afterEach(function() {
+        jasmine.clock().uninstall();
+    });
+
+    it('should connect, transfer data and disconnect', function() {
+        const channel = new Channel({frameLength: 128});
+        channel.A.onFrameFromClient(fromA('C'));
+        channel.run(100);
+        channel.A.onFrameFromClient(fromA('D', Buffer.from(message, 'binary')));
+        channel.run(100);
+        expect(channel.getData('B')).toEqual(message);
+        channel.A.onFrameFromClient(fromA('Y'));
+        expect(channel.frames.A.pop().data.readUInt32LE(0)).toEqual(0);
+        channel.A.onFrameFromClient(fromA('d'));
+        channel.run(100);
+        expect(channel.getTexts('A')).toEqual([
+            'C *** CONNECTED To Station B2CALL\r',
+            'd *** DISCONNECTED From Station B2CALL\r',
+        ]);
+        expect(channel.getTexts('B')).toEqual([
+            'C *** CONNECTED With Station A1CALL\r',
+            'd *** DISCONNECTED From Station A1CALL\r',
+        ]);
+        expect(channel.A.links).toEqual({});
+        expect(channel.B.links).toEqual({});
+    });
+
+    it('should recover from lost I frames with REJ', function() {
+        const channel = new Channel({frameLength: 100});
+        channel.A.onFrameFromClient(fromA('C'));
+        channel.run(100);
+        var lost = 0;
+        channel.lose = function(packet) {
+            return packet.type == 'I' && packet.NS == 1 && lost++ == 0;
+        };
+        channel.A.onFrameFromClient(fromA('D', Buffer.from(message, 'binary')));
+        channel.run(10000);
+        expect(channel.getData('B')).toEqual(message);
+        expect(channel.sent).toContain('B REJ');
+    });
+
+    it('should recover from lost I frames with SREJ', function() {
+        const channel = new Channel({frameLength: 100, ax25: {srej: true}});
+        channel.A.onFrameFromClient(fromA('C'));
+        channel.run(100);
+        var lost = 0;
+        channel.lose = function(packet) {
+            return packet.type == 'I' && packet.NS == 1 && lost++ == 0;
+        };
+        channel.A.onFrameFromClient(fromA('D', Buffer.from(message, 'binary')));
+        channel.run(10000);
+        expect(channel.getData('B')).toEqual(message);
+        expect(channel.sent).toContain('B SREJ');
+    });
+
+    it('should recover from lost acknowledgements', function() {
+        const channel = new Channel({frameLength: 100});
+        channel.A.onFrameFromClient(fromA('C'));
+        channel.run(100);
+        var lost = 0;
+        channel.lose = function(packet) {
+            return packet.fromAddress == 'B2CALL' && lost++ < 3;
+        };
+        channel.A.onFrameFromClient(fromA('D', Buffer.from(message, 'binary')));
+        channel.run(20000);
+        expect(channel.getData('B')).toEqual(message);
+        expect(channel.sent).toContain('A RR');
+    });
+
+    it('should wait while the other station is busy', function() {
+        const channel = new Channel({frameLength: 100});
+        channel.A.onFrameFromClient(fromA('C'));
+        channel.run(100);
+        const link = channel.B.links['0 B2CALL A1CALL'];
+        link.send('RNR', {response: true, NR: 0});
+        channel.run(100);
+        channel.A.onFrameFromClient(fromA('D', Buffer.from('hello')));
+        channel.run(100);
+        expect(channel.getData('B')).toEqual('');
+        link.send('RR', {response: true, NR: 0});
+        channel.run(100);
+        expect(channel.getData('B')).toEqual('hello');
+    });
+
+    it('should give up after N2 retries', function() {
+        const channel = new Channel({ax25: {T1: 1000, N2: 3}});
+        channel.lose = function(packet) {return true;};
+        channel.A.onFrameFromClient(fromA('C'));
+        channel.run(3500);
+        expect(channel.getTexts('A')).toEqual([]);
+        channel.run(1000);
+        expect(channel.getTexts('A')).toEqual(['d *** DISCONNECTED RETRYOUT With B2CALL\r']);
+        expect(channel.sent.length).toEqual(4);
+    });
+
+    it('should refuse a connection to an unregistered call', function() {
+        const channel = new Channel({});
+        channel.B.unregister(0, 'B2CALL');
+        channel.A.onFrameFromClient(fromA('C'));
+        channel.run(100);
+        expect(channel.sent).toEqual(['A SABM']);
+        channel.B.register(0, 'B2CALL');
+        channel.A.onPacket({
+            port: 0, type: 'I', toAddress: 'A1CALL', fromAddress: 'C3CALL',
+            NS: 0, NR: 0, command: true,
+        });
+        channel.run(100);
+        expect(channel.sent).toEqual(['A SABM', 'A DM']);
+    });
+
+}); // AX25 link
@@ -0,0 +1,95 @@
+const Access = require('../../access.js');
+const describeWithSimulator = require('../mockNet/withSimulator.js').describeWithSimulator;
+
+describe('AccessList', function() {
+
+    it('should match call signs', function() {
+        const list = new Access.AccessList(['N0CALL', 'w1*-7', 'K?XYZ-1..3', 'AB1C-*']);
+        expect(list.matches(0, 'N0CALL')).toBe(true);
+        expect(list.matches(0, 'N0CALL-15')).toBe(true);
+        expect(list.matches(0, 'N0CALLS')).toBe(false);
+        expect(list.matches(0, 'W1AW-7')).toBe(true);
+        expect(list.matches(0, 'W1AW')).toBe(false);
+        expect(list.matches(0, 'K1XYZ-2')).toBe(true);
+        expect(list.matches(0, 'K1XYZ-4')).toBe(false);
+        expect(list.matches(0, 'K12XYZ-2')).toBe(false);
+        expect(list.matches(0, 'ab1c-9')).toBe(true);
+    });
+
+    it('should match ports', function() {
+        const list = new Access.AccessList([{call: 'N0CALL', port: 1}, {call: 'A1CALL', port: [0, 2]}]);
+        expect(list.matches(1, 'N0CALL')).toBe(true);
+        expect(list.matches(0, 'N0CALL')).toBe(false);
+        expect(list.matches(2, 'A1CALL-3')).toBe(true);
+        expect(list.matches(1, 'A1CALL')).toBe(false);
+    });
+
+    it('should reject strange patterns', function() {
+        ['N0-CALL-1', 'N0CALL-16', 'N0CALL-1..2..3', 'N0.CALL', ''].forEach(function(pattern) {
+            expect(function() {
+                new Access.AccessList([pattern]);
+            }).toThrow();
+        });
+        expect(function() {
+            new Access.AccessList([{port: 0}]);
+        }).toThrowError(TypeError);
+    });
+
+}); // AccessList
+
+describeWithSimulator('Server refusing connections', {loopback: [[0, 1]]}, function(fixture) {
+
+    it('should refuse connections', function(done) {
+        const serverB = fixture.newServer({
+            deny: ['A1CALL-1..3'],
+            onConnectionRequest: function(info) {
+                return Promise.resolve(info.remoteAddress != 'A1CALL-9');
+            },
+            refusalMessage: 'Go away\r',
+            maxConnections: 1,
+        });
+        const refused = [];
+        serverB.on('refused', function(info) {
+            refused.push(`${info.remoteAddress} ${info.reason}`);
+        });
+        serverB.on('connection', function(connection) {
+            expect(connection.remoteAddress).toEqual('A1CALL');
+            connect('A1CALL-4', function() {
+                expect(refused).toEqual([
+                    'A1CALL-2 denied',
+                    'A1CALL-9 rejected',
+                    'A1CALL-4 too many connections',
+                ]);
+                done();
+            });
+        });
+        var serverA;
+        function connect(from, onEnd) {
+            const connection = serverA.createConnection({
+                localAddress: from,
+                remoteAddress: 'B2CALL',
+            }, function connected() {});
+            var received = '';
+            connection.on('data', function(data) {
+                received += data.toString();
+            });
+            connection.on('end', function() {
+                if (onEnd) {
+                    expect(received).toEqual('Go away\r');
+                    onEnd();
+                }
+            });
+        }
+        serverB.listen({host: 'B2CALL', port: 1}, function() {
+            serverA = fixture.newServer();
+            serverA.listen({host: 'A1CALL', port: 0}, function() {
+                connect('A1CALL-2', function() {
+                    connect('A1CALL-9', function() {
+                        connect('A1CALL');
+                    });
+                });
+            });
+        });
+    });
+
+}); // Server refusing connections
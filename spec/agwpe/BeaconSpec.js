@@ -0,0 +1,86 @@
+const Beacon = require('../../beacon.js');
+const mockServer = require('../mockNet/mockServer.js').mockServer;
+const describeWithSimulator = require('../mockNet/withSimulator.js').describeWithSimulator;
+
+describe('BeaconScheduler', function() {
+
+    var server, scheduler;
+
+    beforeEach(function() {
+        jasmine.clock().install();
+        jasmine.clock().mockDate(new Date(0));
+        server = new mockServer();
+        scheduler = new Beacon.BeaconScheduler({jitter: 0.1}, server);
+        scheduler.random = function() {return 0.5;};
+    });
+
+    afterEach(function() {
+        scheduler.close();
+        jasmine.clock().uninstall();
+    });
+
+    it('should transmit periodically, with jitter', function() {
+        scheduler.add({from: 'N0CALL', to: 'ID', data: 'hello', interval: 1000, offset: 200});
+        jasmine.clock().tick(3000);
+        expect(server.sent).toEqual([
+            '250 N0CALL>ID hello',
+            '1250 N0CALL>ID hello',
+            '2250 N0CALL>ID hello',
+        ]);
+    });
+
+    it('should not pile up', function() {
+        var count = 0;
+        scheduler.add({from: 'N0CALL', interval: 1000, data: function() {
+            if (count++ == 0) jasmine.clock().mockDate(new Date(5000)); // The clock jumps.
+            return 'x' + count;
+        }});
+        jasmine.clock().tick(2000);
+        expect(server.sent.length).toEqual(2);
+        expect(server.sent[1]).toEqual('6000 N0CALL>BEACON x2');
+    });
+
+    it('should skip a beacon when the port is busy', function() {
+        const skipped = [];
+        scheduler.on('skip', function(id, frames) {
+            skipped.push(id + ' ' + frames);
+        });
+        const id = scheduler.add({from: 'N0CALL', data: 'hi', interval: 1000});
+        server.framesInFlight = 2;
+        jasmine.clock().tick(1000);
+        expect(server.sent).toEqual([]);
+        expect(skipped).toEqual([`${id} 2`]);
+        server.framesInFlight = 1;
+        jasmine.clock().tick(1000);
+        expect(server.sent).toEqual(['1050 N0CALL>BEACON hi']);
+    });
+
+    it('should change beacons at runtime', function() {
+        const id = scheduler.add({from: 'N0CALL', data: 'one', interval: 1000});
+        jasmine.clock().tick(100);
+        scheduler.update(id, {data: 'two', raw: true});
+        jasmine.clock().tick(1000);
+        expect(scheduler.getBeacons()).toEqual([jasmine.objectContaining({id: id, data: 'two'})]);
+        expect(scheduler.remove(id)).toBe(true);
+        expect(scheduler.remove(id)).toBe(false);
+        jasmine.clock().tick(2000);
+        expect(server.sent).toEqual(['50 N0CALL>BEACON one', '1050 raw two']);
+        expect(function() {
+            scheduler.add({from: 'N0CALL', data: 'x', interval: 0});
+        }).toThrowError(RangeError);
+    });
+
+}); // BeaconScheduler
+
+describeWithSimulator('Server.getFramesInFlight', {loopback: [[0, 1]]}, function(fixture) {
+
+    it('should report frames in flight', function(done) {
+        const server = fixture.newServer();
+        server.getFramesInFlight(1, function(err, frames) {
+            expect(err).toBeFalsy();
+            expect(frames).toEqual(0);
+            done();
+        });
+    });
+
+}); // Server.getFramesInFlight
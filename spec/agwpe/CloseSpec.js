@@ -0,0 +1,56 @@
+const describeWithSimulator = require('../mockNet/withSimulator.js').describeWithSimulator;
+
+describeWithSimulator('Server.close', {loopback: [[0, 1]]}, function(fixture) {
+
+    it('should disconnect when closing', function(done) {
+        const serverB = fixture.newServer();
+        const events = [];
+        serverB.on('connection', function(connection) {
+            ['end', 'close'].forEach(function(event) {
+                connection.on(event, function() {
+                    events.push(event);
+                });
+            });
+            expect(fixture.simulator.registered['1 B2CALL']).toBeTruthy();
+            serverB.close(function(err) {
+                expect(err).toBeFalsy();
+                expect(events).toEqual(['end', 'close']);
+                expect(fixture.simulator.registered['1 B2CALL']).toBeUndefined();
+                done();
+            });
+            expect(serverB.listening).toBe(false);
+        });
+        serverB.listen({host: 'B2CALL', port: 1}, function() {
+            const serverA = fixture.newServer();
+            serverA.listen({host: 'A1CALL', port: 0}, function() {
+                serverA.createConnection({
+                    localAddress: 'A1CALL',
+                    remoteAddress: 'B2CALL',
+                }, function connected() {});
+            });
+        });
+    });
+
+    it('should close forcibly', function(done) {
+        const serverB = fixture.newServer();
+        serverB.on('connection', function(connection) {
+            connection.on('close', function() {
+                expect(serverB.listening).toBe(false);
+                done();
+            });
+            serverB.close({force: true}, function(err) {
+                expect(err).toBeFalsy();
+            });
+        });
+        serverB.listen({host: 'B2CALL', port: 1}, function() {
+            const serverA = fixture.newServer();
+            serverA.listen({host: 'A1CALL', port: 0}, function() {
+                serverA.createConnection({
+                    localAddress: 'A1CALL',
+                    remoteAddress: 'B2CALL',
+                }, function connected() {});
+            });
+        });
+    });
+
+}); // Server.close
@@ -0,0 +1,167 @@
+const describeWithSimulator = require('../mockNet/withSimulator.js').describeWithSimulator;
+
+describeWithSimulator('Connect timeout and retry', {loopback: [[0, 1]]}, function(fixture) {
+
+    it('should report a failure to connect as an error', function(done) {
+        fixture.simulator.retries = 1;
+        fixture.simulator.retryTime = 50;
+        const server = fixture.newServer();
+        server.listen({host: 'A1CALL', port: 0}, function() {
+            const connection = server.createConnection({
+                localAddress: 'A1CALL',
+                remoteAddress: 'B2CALL',
+                connectErrors: true,
+            }, fail);
+            connection.on('end', fail);
+            connection.on('error', function(err) {
+                expect(err.code).toEqual('EHOSTUNREACH');
+                expect(err.message).toContain('*** DISCONNECTED RETRYOUT With B2CALL');
+                connection.on('close', function() {done();});
+            });
+        });
+    });
+
+    it('should report a failure to connect before ending', function(done) {
+        fixture.simulator.retries = 1;
+        fixture.simulator.retryTime = 50;
+        const server = fixture.newServer();
+        server.listen({host: 'A1CALL', port: 0}, function() {
+            const connection = server.createConnection({
+                localAddress: 'A1CALL',
+                remoteAddress: 'B2CALL',
+            }, fail);
+            var failure = null;
+            connection.on('connectFailed', function(err) {
+                failure = err;
+            });
+            connection.on('error', fail);
+            connection.on('end', function() {
+                expect(failure.code).toEqual('EHOSTUNREACH');
+                expect(failure.reason).toEqual('retryout');
+                done();
+            });
+        });
+    });
+
+    it('should retry connecting via alternate paths', function(done) {
+        fixture.simulator.retries = 0;
+        fixture.simulator.retryTime = 50;
+        fixture.simulator.loss = 0.5;
+        var connects = 0;
+        const connect = fixture.simulator.connect;
+        fixture.simulator.connect = function(client, frame) {
+            ++connects;
+            connect.call(fixture.simulator, client, frame);
+        };
+        fixture.simulator.random = function() {
+            return (connects <= 2) ? 0 : 1; // Lose the first 2 attempts.
+        };
+        const serverB = fixture.newServer();
+        serverB.on('connection', function(connection) {
+            expect(connection.via).toEqual(['DIGI2']);
+            connection.end();
+        });
+        serverB.listen({host: 'B2CALL', port: 1}, function() {
+            const serverA = fixture.newServer();
+            serverA.listen({host: 'A1CALL', port: 0}, function() {
+                const connection = serverA.createConnection({
+                    localAddress: 'A1CALL',
+                    remoteAddress: 'B2CALL',
+                    via: 'DIGI1',
+                    connectRetries: 1,
+                    alternatePaths: ['DIGI2'],
+                }, function connected() {
+                    expect(connection.via).toEqual(['DIGI2']);
+                });
+                connection.on('close', function() {
+                    expect(connects).toEqual(3);
+                    done();
+                });
+            });
+        });
+    });
+
+    it('should time out connecting', function(done) {
+        const server = fixture.newServer();
+        server.listen({host: 'A1CALL', port: 0}, function() {
+            const connection = server.createConnection({
+                localAddress: 'A1CALL',
+                remoteAddress: 'B2CALL',
+                connectTimeout: 50,
+                connectErrors: true,
+            }, fail);
+            connection.on('error', function(err) {
+                expect(err.code).toEqual('ETIMEDOUT');
+                done();
+            });
+        });
+    });
+
+    it('should give up connecting when the TNC does not answer', function(done) {
+        const onFrameFromClient = fixture.simulator.onFrameFromClient;
+        fixture.simulator.onFrameFromClient = function(client, frame) {
+            if (['C', 'v', 'd'].indexOf(frame.dataKind) < 0) { // Ignore (dis)connecting.
+                onFrameFromClient.call(fixture.simulator, client, frame);
+            }
+        };
+        const server = fixture.newServer();
+        server.listen({host: 'A1CALL', port: 0}, function() {
+            const connection = server.createConnection({
+                localAddress: 'A1CALL',
+                remoteAddress: 'B2CALL',
+                connectTimeout: 50,
+                connectErrors: true,
+            }, fail);
+            connection.on('error', function(err) {
+                expect(err.code).toEqual('ETIMEDOUT');
+                connection.on('close', function() {
+                    setImmediate(function() {
+                        expect(server._getConnectionThrottles()).toEqual([]);
+                        done();
+                    });
+                });
+            });
+        });
+    });
+
+    it('should disconnect if the TNC connects after giving up', function(done) {
+        const onFrameFromClient = fixture.simulator.onFrameFromClient;
+        var isSlow = true;
+        fixture.simulator.onFrameFromClient = function(client, frame) {
+            if (isSlow && frame.dataKind == 'C') { // Connect too late.
+                setTimeout(function() {
+                    isSlow = false;
+                    onFrameFromClient.call(fixture.simulator, client, frame);
+                }, 200);
+            } else if (!(isSlow && frame.dataKind == 'd')) { // Ignore disconnecting.
+                onFrameFromClient.call(fixture.simulator, client, frame);
+            }
+        };
+        var serverA;
+        const serverB = fixture.newServer();
+        serverB.on('connection', function(connection) {
+            connection.on('close', function(reason) {
+                expect(reason).toEqual('remote');
+                setImmediate(function() {
+                    expect(serverA._getConnectionThrottles()).toEqual([]);
+                    done();
+                });
+            });
+        });
+        serverB.listen({host: 'B2CALL', port: 1}, function() {
+            serverA = fixture.newServer();
+            serverA.on('connection', fail);
+            serverA.listen({host: 'A1CALL', port: 0}, function() {
+                const connection = serverA.createConnection({
+                    localAddress: 'A1CALL',
+                    remoteAddress: 'B2CALL',
+                    connectTimeout: 50,
+                }, fail);
+                connection.on('connectFailed', function(err) {
+                    expect(err.code).toEqual('ETIMEDOUT');
+                });
+            });
+        });
+    });
+
+}); // Connect timeout and retry
@@ -0,0 +1,297 @@
+const AGWPE = require('../../server.js');
+const EventEmitter = require('events');
+
+/** Stands in for a FrameAssembler. */
+class mockAssembler {
+    constructor() {
+        this.port = 0;
+        this.myCall = 'A1CALL';
+        this.theirCall = 'B2CALL';
+        this.written = [];
+    }
+    write(data, callback) {
+        this.written.push(data.toString('binary'));
+        if (callback) callback();
+    }
+    end(callback) {
+        if (callback) callback();
+    }
+}
+
+describe('Connection', function() {
+
+    var assembler, connection;
+
+    beforeEach(function() {
+        jasmine.clock().install();
+        assembler = new mockAssembler();
+        connection = new AGWPE.Connection({}, assembler);
+    });
+
+    afterEach(function() {
+        jasmine.clock().uninstall();
+    });
+
+    it('should time out when idle', function() {
+        const timeouts = [];
+        connection.setTimeout(1000, function() {
+            timeouts.push('callback');
+        });
+        connection.on('timeout', function() {
+            timeouts.push('event');
+        });
+        jasmine.clock().tick(900);
+        connection.write('hi');
+        jasmine.clock().tick(900);
+        expect(timeouts).toEqual([]);
+        jasmine.clock().tick(100);
+        expect(timeouts).toEqual(['callback', 'event']);
+        jasmine.clock().tick(5000);
+        expect(timeouts.length).toEqual(2); // only once per idle period
+        connection.setTimeout(0);
+        connection.write('x');
+        jasmine.clock().tick(5000);
+        expect(timeouts.length).toEqual(2);
+    });
+
+    it('should keep alive', function() {
+        var timedOut = false;
+        connection.setTimeout(2500, function() {
+            timedOut = true;
+        });
+        connection.setKeepAlive(true, 1000);
+        jasmine.clock().tick(2100);
+        expect(assembler.written).toEqual(['\r', '\r']);
+        jasmine.clock().tick(500);
+        expect(timedOut).toBe(true);
+        connection.setKeepAlive(false);
+        jasmine.clock().tick(2000);
+        expect(assembler.written.length).toEqual(2);
+    });
+
+    it('should count data received', function() {
+        connection.counters.push({bytesRead: 0, framesRead: 0});
+        connection.onFrameFromAGW({dataKind: 'C', data: Buffer.from('hi')});
+        connection._read();
+        connection.onFrameFromAGW({dataKind: 'D', data: Buffer.from('hello')});
+        connection.onFrameFromAGW({dataKind: 'D', data: Buffer.from('!')});
+        expect(connection.bytesRead).toEqual(6);
+        expect(connection.getStats()).toEqual(jasmine.objectContaining({
+            bytesRead: 6, framesRead: 2, bytesWritten: 0,
+        }));
+        expect(connection.getStats().connectedAt instanceof Date).toBe(true);
+        expect(connection.counters[1]).toEqual({bytesRead: 6, framesRead: 2});
+    });
+
+    it('should accept data before the first read', function() {
+        const errors = [];
+        connection.on('error', function(err) {
+            errors.push(err);
+        });
+        connection.onFrameFromAGW({dataKind: 'D', data: Buffer.from('early')});
+        expect(errors).toEqual([]);
+        expect(connection.read().toString()).toEqual('early');
+    });
+
+    it('should stop timers when closed', function() {
+        connection.setTimeout(1000, fail);
+        connection.setKeepAlive(true, 1000, 'ping');
+        connection.onFrameFromAGW({dataKind: 'd', data: Buffer.from('bye')});
+        jasmine.clock().tick(5000);
+        expect(assembler.written).toEqual([]);
+    });
+
+}); // Connection
+
+/** Wait for streams to process data written to them. */
+function settle() {
+    return new Promise(function(resolve) {
+        setImmediate(resolve);
+    });
+}
+
+describe('FrameAssembler', function() {
+
+    var frames;
+
+    beforeEach(function() {
+        jasmine.clock().install();
+        frames = [];
+    });
+
+    afterEach(function() {
+        jasmine.clock().uninstall();
+    });
+
+    function newConnection(options) {
+        const assembler = new AGWPE.FrameAssembler(options, {
+            port: 0, callTo: 'A1CALL', callFrom: 'B2CALL',
+        });
+        assembler.on('data', function(frame) {
+            frames.push(frame.data.toString());
+        });
+        return new AGWPE.Connection(options, assembler);
+    }
+
+    it('should combine data', async function() {
+        const connection = newConnection({writeDelay: 100});
+        connection.write('a');
+        connection.write('b');
+        await settle();
+        jasmine.clock().tick(90);
+        expect(frames).toEqual([]);
+        jasmine.clock().tick(10);
+        await settle();
+        expect(frames).toEqual(['ab']);
+        connection.setWriteDelay(0);
+        connection.write('c');
+        await settle();
+        expect(frames).toEqual(['ab', 'c']);
+    });
+
+    it('should not delay', async function() {
+        const connection = newConnection({});
+        connection.write('a');
+        await settle();
+        connection.setNoDelay();
+        await settle();
+        expect(frames).toEqual(['a']);
+        connection.write('b');
+        await settle();
+        connection.write('c');
+        await settle();
+        expect(frames).toEqual(['a', 'b', 'c']);
+        connection.setNoDelay(false);
+        connection.write('d');
+        await settle();
+        expect(frames.length).toEqual(3);
+        jasmine.clock().tick(250);
+        await settle();
+        expect(frames).toEqual(['a', 'b', 'c', 'd']);
+    });
+
+    it('should flush when uncorked', async function() {
+        const connection = newConnection({});
+        connection.cork();
+        connection.write('a');
+        connection.cork();
+        connection.write('b');
+        connection.uncork();
+        await settle();
+        expect(frames).toEqual([]);
+        connection.uncork();
+        await settle();
+        expect(frames).toEqual(['ab']);
+        connection.write('c');
+        await settle();
+        expect(frames).toEqual(['ab']); // delayed
+        connection.cork();
+        connection.write('d');
+        connection.uncork();
+        await settle();
+        expect(frames).toEqual(['ab', 'cd']);
+    });
+
+}); // FrameAssembler
+
+describe('ConnectionThrottle', function() {
+
+    var sender, throttle, stats;
+
+    beforeEach(function() {
+        jasmine.clock().install();
+        jasmine.clock().mockDate(new Date(0));
+        sender = new EventEmitter();
+        sender.sent = [];
+        sender.send = function(frame) {
+            sender.sent.push(frame);
+        };
+        throttle = new AGWPE.ConnectionThrottle({}, sender, {
+            port: 0, callTo: 'A1CALL', callFrom: 'B2CALL',
+        });
+        stats = {bytesWritten: 0, framesWritten: 0, blockedTime: 0, retries: 0};
+        throttle.counters.push(stats);
+    });
+
+    afterEach(function() {
+        throttle.stopPolling();
+        jasmine.clock().uninstall();
+    });
+
+    function dataFrame(data) {
+        return {dataKind: 'D', port: 0, callFrom: 'A1CALL', callTo: 'B2CALL', data: Buffer.from(data)};
+    }
+
+    it('should count data and time blocked', function() {
+        for (var f = 0; f < 8; ++f) {
+            throttle.write(dataFrame('data' + f));
+        }
+        expect(stats.framesWritten).toEqual(7); // 1 was in flight initially
+        expect(stats.bytesWritten).toEqual(35);
+        jasmine.clock().tick(2500);
+        expect(throttle.getBlockedTime()).toEqual(2500);
+        const inFlight = Buffer.alloc(4);
+        inFlight.writeUInt32LE(2, 0);
+        throttle.onFrameFromAGW({dataKind: 'Y', data: inFlight});
+        expect(stats.framesWritten).toEqual(8);
+        expect(stats.blockedTime).toEqual(2500);
+        expect(throttle.getBlockedTime()).toEqual(0);
+    });
+
+    it('should not destroy itself until disconnected', async function() {
+        throttle.client = {onFrameFromAGW: function() {}};
+        throttle.end();
+        await settle();
+        expect(sender.sent.map(function(frame) {return frame.dataKind;})).toEqual(['d']);
+        expect(throttle.destroyed).toBe(false);
+        throttle.onFrameFromAGW({dataKind: 'd', port: 0, data: Buffer.from('bye')});
+        await settle();
+        expect(throttle.destroyed).toBe(true);
+    });
+
+    it('should stop polling when destroyed', function() {
+        for (var f = 0; f < 8; ++f) {
+            throttle.write(dataFrame('data' + f));
+        }
+        expect(throttle.polling).toBeTruthy();
+        throttle.destroy();
+        expect(throttle.polling).toBeNull();
+    });
+
+    it('should count retries', function() {
+        [0, 1, 2, 1, 2, 3, 3, 4].forEach(function(NS) {
+            throttle.countTransmission({type: 'I', NS: NS});
+        });
+        throttle.countTransmission({type: 'RR', NR: 3});
+        expect(stats.retries).toEqual(3);
+        throttle.lastNS = null; // as if connected again, with SABME
+        [0, 1, 2, 3, 4, 5, 6, 7, 0, 1].forEach(function(NS) {
+            throttle.countTransmission({type: 'I', NS: NS, modulo: 128});
+        });
+        expect(stats.retries).toEqual(5);
+    });
+
+    it('should explain disconnecting', function() {
+        const client = {frames: []};
+        client.onFrameFromAGW = function(frame) {
+            client.frames.push(frame);
+        };
+        throttle.client = client;
+        function disconnect(text) {
+            return {dataKind: 'd', port: 0, data: Buffer.from(text)};
+        }
+        const fromStation = disconnect('*** DISCONNECTED From Station B2CALL\r');
+        expect(throttle.getDisconnectReason(fromStation)).toEqual('remote');
+        expect(throttle.getDisconnectReason(disconnect(
+            '*** DISCONNECTED RETRYOUT With B2CALL\r'))).toEqual('retryout');
+        throttle.connect([[]], {});
+        expect(throttle.getDisconnectReason(fromStation)).toEqual('busy');
+        throttle.onFrameFromAGW({dataKind: 'C', port: 0, data: Buffer.from('hi')});
+        expect(throttle.getDisconnectReason(fromStation)).toEqual('remote');
+        throttle.end();
+        expect(throttle.getDisconnectReason(fromStation)).toEqual('local');
+        throttle.onFrameFromAGW(fromStation);
+        expect(client.frames[1].reason).toEqual('local');
+    });
+
+}); // ConnectionThrottle
@@ -0,0 +1,100 @@
+const Digipeater = require('../../digipeater.js');
+const mockServer = require('../mockNet/mockServer.js').mockServer;
+
+function newPacket(port, via) {
+    return {
+        port: port,
+        type: 'UI',
+        toAddress: 'APRS',
+        fromAddress: 'B2CALL-9',
+        via: via,
+        info: Buffer.from('>status'),
+    };
+}
+
+describe('Digipeater', function() {
+
+    const options = {myCall: 'N0CALL-1', aliases: ['RELAY']};
+
+    it('should repeat an alias', function() {
+        expect(Digipeater.digipeat(newPacket(0, ['A1CALL*', 'relay', 'WIDE2-2']), options).via)
+            .toEqual(['A1CALL*', 'N0CALL-1*', 'WIDE2-2']);
+        expect(Digipeater.digipeat(newPacket(0, ['N0CALL-1', 'WIDE2-2']), options).via)
+            .toEqual(['N0CALL-1*', 'WIDE2-2']);
+    });
+
+    it('should trace WIDEn-N', function() {
+        expect(Digipeater.digipeat(newPacket(0, ['WIDE2-2']), options).via)
+            .toEqual(['N0CALL-1*', 'WIDE2-1']);
+        expect(Digipeater.digipeat(newPacket(0, ['A1CALL*', 'WIDE2-1']), options).via)
+            .toEqual(['A1CALL*', 'N0CALL-1*', 'WIDE2*']);
+        const full = ['A*', 'B*', 'C*', 'D*', 'E*', 'F*', 'G*', 'WIDE7-7'];
+        expect(Digipeater.digipeat(newPacket(0, full), options).via)
+            .toEqual(full.slice(0, 7).concat(['WIDE7-6']));
+    });
+
+    it('should not repeat some packets', function() {
+        [
+            undefined,
+            ['A1CALL*'],
+            ['A1CALL', 'RELAY'],
+            ['WIDE2'],
+            ['WIDE2-3'],
+            ['TRACE2-2'],
+        ].forEach(function(via) {
+            expect(Digipeater.digipeat(newPacket(0, via), options)).toBeNull();
+        });
+        expect(Digipeater.digipeat(newPacket(0, ['WIDE3-3']), {myCall: 'N0CALL', maxHops: 2}))
+            .toBeNull();
+        expect(Digipeater.digipeat(
+            Object.assign(newPacket(0, ['RELAY']), {fromAddress: 'N0CALL-1'}),
+            options)).toBeNull();
+    });
+
+    it('should suppress duplicates', function() {
+        const server = new mockServer();
+        const digipeater = new Digipeater.Digipeater(options, server);
+        digipeater.bind();
+        server.socket.emit('data', newPacket(0, ['WIDE2-2']));
+        server.socket.emit('data', newPacket(0, ['A1CALL*', 'WIDE2-1']));
+        expect(server.socket.written).toEqual([newPacket(0, ['N0CALL-1*', 'WIDE2-1'])]);
+        digipeater.close();
+    });
+
+    it('should route packets to other ports', function() {
+        const server = new mockServer();
+        const digipeater = new Digipeater.Digipeater(Object.assign({
+            routes: [{from: 0, to: 0}, {from: 0, to: 1, aliases: []}],
+        }, options), server);
+        digipeater.bind();
+        server.socket.emit('data', newPacket(0, ['RELAY']));
+        server.socket.emit('data', newPacket(1, ['WIDE1-1']));
+        expect(server.socket.written).toEqual([newPacket(0, ['N0CALL-1*'])]);
+        server.socket.emit('data', newPacket(0, ['WIDE1-1']));
+        // It's a duplicate on port 0, but not port 1:
+        expect(server.socket.written.length).toEqual(2);
+        expect(server.socket.written[1]).toEqual(newPacket(1, ['N0CALL-1*', 'WIDE1*']));
+        digipeater.close();
+    });
+
+    it('should be viscous', function() {
+        jasmine.clock().install();
+        try {
+            const server = new mockServer();
+            const digipeater = new Digipeater.Digipeater(
+                Object.assign({viscousDelay: 1000}, options), server);
+            digipeater.bind();
+            server.socket.emit('data', newPacket(0, ['WIDE2-2']));
+            server.socket.emit('data', newPacket(0, ['A1CALL*', 'WIDE2-1']));
+            jasmine.clock().tick(1001);
+            expect(server.socket.written).toEqual([]);
+            server.socket.emit('data', Object.assign(newPacket(0, ['WIDE1-1']), {toAddress: 'ID'}));
+            jasmine.clock().tick(1001);
+            expect(server.socket.written.length).toEqual(1);
+            digipeater.close();
+        } finally {
+            jasmine.clock().uninstall();
+        }
+    });
+
+}); // Digipeater
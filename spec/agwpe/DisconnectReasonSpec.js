@@ -0,0 +1,51 @@
+const describeWithSimulator = require('../mockNet/withSimulator.js').describeWithSimulator;
+
+describeWithSimulator('Disconnect reason', {loopback: [[0, 1]]}, function(fixture) {
+
+    it('should explain disconnecting', function(done) {
+        var closed = 0;
+        const serverB = fixture.newServer();
+        serverB.on('connection', function(connection) {
+            connection.on('close', function(reason) {
+                expect(reason).toEqual('remote');
+                expect(connection.disconnectReason).toEqual('remote');
+                if (++closed == 2) done();
+            });
+        });
+        serverB.listen({host: 'B2CALL', port: 1}, function() {
+            const serverA = fixture.newServer();
+            serverA.listen({host: 'A1CALL', port: 0}, function() {
+                const connection = serverA.createConnection({
+                    localAddress: 'A1CALL',
+                    remoteAddress: 'B2CALL',
+                }, function connected() {
+                    expect(connection.disconnectReason).toBeNull();
+                    connection.end();
+                });
+                connection.on('close', function(reason) {
+                    expect(reason).toEqual('local');
+                    expect(connection.disconnectReason).toEqual('local');
+                    if (++closed == 2) done();
+                });
+            });
+        });
+    });
+
+    it('should explain a retryout', function(done) {
+        fixture.simulator.retries = 1;
+        fixture.simulator.retryTime = 50;
+        const server = fixture.newServer();
+        server.listen({host: 'A1CALL', port: 0}, function() {
+            const connection = server.createConnection({
+                localAddress: 'A1CALL',
+                remoteAddress: 'B2CALL',
+            }, fail);
+            connection.on('close', function(reason) {
+                expect(reason).toEqual('retryout');
+                expect(connection.disconnectReason).toEqual('retryout');
+                done();
+            });
+        });
+    });
+
+}); // Disconnect reason
@@ -0,0 +1,88 @@
+const Heard = require('../../heard.js');
+const describeWithSimulator = require('../mockNet/withSimulator.js').describeWithSimulator;
+
+describe('Heard', function() {
+
+    const t0 = new Date(2024, 4, 3, 12, 0, 0, 0);
+    const t1 = new Date(2024, 4, 3, 12, 5, 30, 250);
+
+    it('should count packets from each station', function() {
+        const list = new Heard.HeardList();
+        expect(list.hear(0, {fromAddress: 'A1CALL'}, t0)).toEqual({
+            port: 0, call: 'A1CALL', firstHeard: t0, lastHeard: t0, via: [], packets: 1,
+        });
+        expect(list.hear(0, {fromAddress: 'A1CALL', via: ['DIGI*']}, t1)).toBeNull();
+        list.hear(1, {fromAddress: 'B2CALL'}, t1);
+        expect(list.getList(0)).toEqual([{
+            port: 0, call: 'A1CALL', firstHeard: t0, lastHeard: t1, via: ['DIGI*'], packets: 2,
+        }]);
+        expect(list.getList(2)).toEqual([]);
+    });
+
+    it('should forget the least recently heard station', function() {
+        const list = new Heard.HeardList({maxStations: 2});
+        list.hear(0, {fromAddress: 'A1CALL'}, t0);
+        list.hear(0, {fromAddress: 'B2CALL'}, t0);
+        list.hear(0, {fromAddress: 'A1CALL'}, t1);
+        list.hear(0, {fromAddress: 'C3CALL'}, t1);
+        expect(list.getList(0).map(function(s) {return s.call;}).sort())
+            .toEqual(['A1CALL', 'C3CALL']);
+    });
+
+    it('should decode an H frame', function() {
+        const station = {port: 1, call: 'A1CALL', firstHeard: t0, lastHeard: t1};
+        const frame = {
+            dataKind: 'H',
+            port: 1,
+            callFrom: 'A1CALL',
+            data: Heard.encodeHeardData(station),
+        };
+        expect(Heard.decodeHeardFrame(frame)).toEqual(station);
+        expect(Heard.decodeHeardFrame({dataKind: 'H', port: 1, data: frame.data})).toBeNull();
+        const list = new Heard.HeardList();
+        list.hear(1, {fromAddress: 'A1CALL'}, t1);
+        expect(list.merge(Heard.decodeHeardFrame(frame))).toBeNull();
+        expect(list.getList(1)[0].firstHeard).toEqual(t0);
+    });
+
+}); // Heard
+
+describeWithSimulator('Server heard list', {loopback: [[0, 1]]}, function(fixture) {
+
+    it('should list heard stations', function(done) {
+        const listener = fixture.newServer();
+        listener.on('heard', function(station) {
+            expect(station).toEqual(jasmine.objectContaining({
+                call: 'A1CALL', via: ['DIGI'], packets: 1,
+            }));
+            if (station.port == 1) { // via loopback
+                expect(listener.getHeardList(0).length).toEqual(1);
+                // Another server didn't receive the packet, but the TNC did:
+                const asker = fixture.newServer();
+                asker.on('heard', function(station) {
+                    expect(station).toEqual(jasmine.objectContaining({
+                        port: 0, call: 'A1CALL', via: [], packets: 0,
+                    }));
+                    expect(asker.getHeardList(0)).toEqual([station]);
+                    done();
+                });
+                asker.requestHeardList(0);
+            }
+        });
+        listener.listen({host: 'B2CALL', port: [0, 1]}, function() {
+            const sender = fixture.newServer();
+            const socket = sender.createSocket();
+            socket.bind(function() {
+                socket.write({
+                    port: 0,
+                    type: 'UI',
+                    toAddress: 'ID',
+                    fromAddress: 'A1CALL',
+                    via: ['DIGI'],
+                    info: Buffer.from('hello'),
+                });
+            });
+        });
+    });
+
+}); // Server heard list
@@ -0,0 +1,128 @@
+const AGWPE = require('../../server.js');
+const guts = require('../../guts.js');
+const KISS = require('../../kiss.js');
+const MockNet = require('../mockNet/mockNet.js');
+
+const FEND = 0xC0;
+
+class kissNet extends MockNet.mockNet {
+    constructor(spec) {
+        super(spec);
+        this.written = [];
+        const that = this;
+        this.respond = function(chunk, encoding) {
+            that.written.push(chunk);
+            return null;
+        };
+    }
+}
+
+function newPacket() {
+    return {
+        port: 1,
+        type: 'UI',
+        toAddress: 'APRS',
+        fromAddress: 'N0CALL',
+        info: Buffer.from([FEND, 0xDB, 0x41]),
+    };
+}
+
+describe('KISS', function() {
+
+    it('should escape frames', function() {
+        expect(KISS.encodeFrame(Buffer.from([0x10, FEND, 0x41, 0xDB])))
+            .toEqual(Buffer.from([FEND, 0x10, 0xDB, 0xDC, 0x41, 0xDB, 0xDD, FEND]));
+    });
+
+    it('should encode commands', function() {
+        expect(KISS.encodeParameters(2, {txDelay: 30, fullDuplex: true}))
+            .toEqual(Buffer.from([FEND, 0x21, 30, FEND, FEND, 0x25, 1, FEND]));
+        expect(function() {KISS.encodeCommand(16, 'txDelay', 1);}).toThrowError(RangeError);
+        expect(function() {KISS.encodeCommand(0, 'txDelay', 256);}).toThrowError(RangeError);
+        expect(function() {KISS.encodeCommand(0, 'bogus', 1);}).toThrowError();
+    });
+
+    it('should unescape received frames', function() {
+        const receiver = new KISS.Receiver();
+        const frames = [];
+        receiver.client = {onFrameFromAGW: function(frame) {frames.push(frame);}};
+        const packet = guts.encodePacket(newPacket());
+        const data = Buffer.concat([Buffer.from([0x10]), packet]);
+        const kiss = Buffer.concat([
+            KISS.encodeCommand(0, 'txDelay', 30), // ignored
+            KISS.encodeFrame(data),
+        ]);
+        // Split it into two chunks, between FESC and TFESC:
+        const split = kiss.length - 3;
+        expect(kiss[split - 1]).toEqual(0xDB);
+        receiver.write(kiss.slice(0, split));
+        receiver.write(kiss.slice(split));
+        expect(frames).toEqual([{port: 1, dataKind: 'K', data: data}]);
+    });
+
+    it('should support a RawSocket', function(done) {
+        const net = new kissNet(this);
+        const server = new AGWPE.Server({
+            protocol: 'KISS',
+            port: 8001,
+            kissPorts: 2,
+            kissParameters: {txDelay: 30},
+            Net: net,
+        });
+        const socket = server.createSocket();
+        socket.on('error', fail);
+        socket.on('data', function(packet) {
+            expect(packet).toEqual(jasmine.objectContaining(newPacket()));
+            done();
+        });
+        socket.bind(function(err) {
+            expect(err).toBeFalsy();
+            socket.write(newPacket(), function(err) {
+                expect(err).toBeFalsy();
+                expect(Buffer.concat(net.written)).toEqual(Buffer.concat([
+                    KISS.encodeParameters(0, {txDelay: 30}),
+                    KISS.encodeParameters(1, {txDelay: 30}),
+                    KISS.encodeFrame(Buffer.concat([
+                        Buffer.from([0x10]),
+                        guts.encodePacket(newPacket()),
+                    ])),
+                ]));
+                this.theSocket.toReader(KISS.encodeFrame(Buffer.concat([
+                    Buffer.from([0x10]),
+                    guts.encodePacket(newPacket()),
+                ])));
+            }.bind(this));
+        }.bind(this));
+    });
+
+    it('should report the path of an incoming connection', function(done) {
+        const net = new kissNet(this);
+        const server = new AGWPE.Server({
+            protocol: 'KISS',
+            port: 8001,
+            kissPorts: 2,
+            Net: net,
+        });
+        server.on('error', fail);
+        server.on('connection', function(connection) {
+            expect(connection.remoteAddress).toEqual('B2CALL');
+            expect(connection.via).toEqual(['DIGI1', 'DIGI2']);
+            server.close({force: true}, function() {done();});
+        });
+        server.listenAsync({host: 'A1CALL', port: 0}).then(function() {
+            this.theSocket.toReader(KISS.encodeFrame(Buffer.concat([
+                Buffer.from([0x00]),
+                guts.encodePacket({
+                    port: 0,
+                    type: 'SABM',
+                    command: true,
+                    P: true,
+                    toAddress: 'A1CALL',
+                    fromAddress: 'B2CALL',
+                    via: ['DIGI1*', 'DIGI2*'],
+                }),
+            ])));
+        }.bind(this));
+    });
+
+}); // KISS
@@ -0,0 +1,97 @@
+const APRS = require('../../aprs.js');
+const Messenger = require('../../messenger.js');
+const mockServer = require('../mockNet/mockServer.js').mockServer;
+
+/** Return the information fields of the packets sent via server.socket. */
+function written(server) {
+    return server.socket.written.map(function(packet) {
+        return packet.info.toString('binary');
+    });
+}
+
+function newPacket(info) {
+    return {
+        port: 0,
+        type: 'UI',
+        toAddress: 'APRS',
+        fromAddress: 'B2CALL-9',
+        info: Buffer.from(info, 'binary'),
+    };
+}
+
+describe('APRSMessenger', function() {
+
+    var server, messenger;
+
+    beforeEach(function() {
+        jasmine.clock().install();
+        server = new mockServer();
+        messenger = new Messenger.APRSMessenger(
+            {myCall: 'N0CALL', retryInterval: 1000, maxRetries: 2}, server);
+        messenger.bind();
+    });
+
+    afterEach(function() {
+        messenger.close();
+        jasmine.clock().uninstall();
+    });
+
+    it('should retransmit until acknowledged', async function() {
+        const sent = messenger.sendMessage('b2call-9', 'Hello');
+        expect(written(server)).toEqual([':B2CALL-9 :Hello{1']);
+        jasmine.clock().tick(1001);
+        expect(written(server).length).toEqual(2);
+        jasmine.clock().tick(2001);
+        expect(written(server).length).toEqual(3);
+        server.socket.emit('data', newPacket(':N0CALL   :ack1'));
+        await expectAsync(sent).toBeResolvedTo({to: 'B2CALL-9', id: '1'});
+        jasmine.clock().tick(10000);
+        expect(written(server).length).toEqual(3);
+    });
+
+    it('should fail if not acknowledged', async function() {
+        const sent = messenger.sendMessage('B2CALL-9', 'Hello');
+        jasmine.clock().tick(1000 + 2000 + 4000 + 1);
+        expect(written(server).length).toEqual(3);
+        await expectAsync(sent).toBeRejectedWith(jasmine.objectContaining({code: 'ETIMEDOUT'}));
+    });
+
+    it('should fail if rejected', async function() {
+        messenger.sendMessage('B2CALL-9', 'first').catch(function(err) {});
+        const sent = messenger.sendMessage('B2CALL-9', 'second');
+        server.socket.emit('data', newPacket(':N0CALL   :rej2'));
+        await expectAsync(sent).toBeRejectedWith(jasmine.objectContaining({code: 'ECONNREFUSED'}));
+    });
+
+    it('should acknowledge incoming messages once', function() {
+        const received = [];
+        messenger.on('message', function(message) {
+            expect(written(server).length).toEqual(1); // acknowledged already
+            received.push(message.text);
+        });
+        server.socket.emit('data', newPacket(':N0CALL   :Hi{42'));
+        server.socket.emit('data', newPacket(':N0CALL   :Hi{42'));
+        server.socket.emit('data', newPacket(':N1CALL   :Hi{43'));
+        expect(received).toEqual(['Hi']);
+        expect(written(server)).toEqual([':B2CALL-9 :ack42', ':B2CALL-9 :ack42']);
+    });
+
+    it('should support reply-ack', async function() {
+        messenger.close();
+        messenger = new Messenger.APRSMessenger({myCall: 'N0CALL', replyAck: true}, server);
+        messenger.bind();
+        server.socket.emit('data', newPacket(':N0CALL   :Hi{MM}'));
+        const sent = messenger.sendMessage('B2CALL-9', 'Hello');
+        expect(APRS.decode(newPacket(written(server)[1]))).toEqual({
+            type: 'message',
+            addressee: 'B2CALL-9',
+            text: 'Hello',
+            id: '01',
+            replyAckCapable: true,
+            replyAck: 'MM',
+        });
+        server.socket.emit('data', newPacket(':N0CALL   :Bye{MN}01'));
+        await expectAsync(sent).toBeResolved();
+    });
+
+}); // APRSMessenger
@@ -0,0 +1,36 @@
+const describeWithSimulator = require('../mockNet/withSimulator.js').describeWithSimulator;
+
+describeWithSimulator('Server monitor', {loopback: [[0, 1]]}, function(fixture) {
+
+    it('should monitor transmitted and received packets', function(done) {
+        const server = fixture.newServer();
+        const socket = server.createSocket({monitor: true});
+        const packets = [];
+        socket.on('data', function(packet) {
+            packets.push(packet);
+            if (packets.length == 2) {
+                packets.sort(function(a, b) {return a.port - b.port;});
+                expect(packets[0]).toEqual(jasmine.objectContaining({
+                    port: 0, direction: 'tx', type: 'UI',
+                    fromAddress: 'A1CALL', toAddress: 'ID', info: Buffer.from('hello'),
+                }));
+                expect(packets[1]).toEqual(jasmine.objectContaining({
+                    port: 1, direction: 'rx', type: 'UI',
+                    fromAddress: 'A1CALL', toAddress: 'ID', info: Buffer.from('hello'),
+                }));
+                expect(packets[1].timestamp instanceof Date).toBe(true);
+                done();
+            }
+        });
+        socket.bind(function() {
+            socket.write({
+                port: 0,
+                type: 'UI',
+                toAddress: 'ID',
+                fromAddress: 'A1CALL',
+                info: Buffer.from('hello'),
+            });
+        });
+    });
+
+}); // Server monitor
@@ -0,0 +1,301 @@
+const guts = require('../../guts.js');
+
+function roundTrip(packet, modulo) {
+    const decoded = guts.decodePacket(guts.encodePacket(packet), modulo);
+    decoded.port = packet.port;
+    return decoded;
+}
+
+describe('Packet', function() {
+
+    it('should round trip a modulo 8 I packet', function() {
+        const packet = {
+            port: 0,
+            type: 'I',
+            toAddress: 'A1CALL',
+            fromAddress: 'B2CALL-3',
+            NS: 5,
+            NR: 7,
+            P: true,
+            PID: 0xCF,
+            info: Buffer.from('hello'),
+        };
+        expect(roundTrip(packet)).toEqual(packet);
+    });
+
+    it('should round trip a modulo 128 I packet', function() {
+        const packet = {
+            port: 1,
+            type: 'I',
+            modulo: 128,
+            toAddress: 'A1CALL',
+            fromAddress: 'B2CALL',
+            NS: 100,
+            NR: 127,
+            P: true,
+            PID: 0xCF,
+            info: Buffer.from('hello'),
+        };
+        const encoded = guts.encodePacket(packet);
+        expect(encoded.length).toEqual(14 + 2 + 1 + 5);
+        expect(encoded[14]).toEqual(100 << 1);
+        expect(encoded[15]).toEqual((127 << 1) + 1);
+        expect(roundTrip(packet, 128)).toEqual(packet);
+    });
+
+    it('should round trip a modulo 8 S packet', function() {
+        [{command: true, P: true}, {response: true, F: true}].forEach(function(pf) {
+            const packet = Object.assign({
+                port: 0,
+                type: 'RR',
+                toAddress: 'A1CALL',
+                fromAddress: 'B2CALL',
+                NR: 6,
+            }, pf);
+            expect(guts.encodePacket(packet)[14]).toEqual(0xD1);
+            expect(roundTrip(packet)).toEqual(packet);
+        });
+    });
+
+    it('should round trip a modulo 128 S packet', function() {
+        ['RR', 'RNR', 'REJ', 'SREJ'].forEach(function(type) {
+            const packet = {
+                port: 0,
+                type: type,
+                modulo: 128,
+                toAddress: 'A1CALL',
+                fromAddress: 'B2CALL',
+                response: true,
+                NR: 99,
+                F: true,
+            };
+            expect(roundTrip(packet, function() {return 128;})).toEqual(packet);
+        });
+    });
+
+    it('should decode U packets with one control octet', function() {
+        const packet = {
+            port: 0,
+            type: 'SABME',
+            toAddress: 'A1CALL',
+            fromAddress: 'B2CALL',
+            command: true,
+            P: true,
+        };
+        expect(roundTrip(packet, 128)).toEqual(packet);
+    });
+
+    it('should round trip repeated digipeaters', function() {
+        const packet = {
+            port: 0,
+            type: 'UI',
+            toAddress: 'APRS',
+            fromAddress: 'B2CALL-9',
+            via: ['DIGIA*', 'WIDE1*', 'WIDE2-1'],
+            info: Buffer.from('>status'),
+        };
+        const encoded = guts.encodePacket(packet);
+        expect(guts.hexBuffer(encoded.subarray(14, 35))).toEqual(
+            '88 92 8e 92 82 40 e0'
+                + ' ae 92 88 8a 62 40 e0'
+                + ' ae 92 88 8a 64 40 63');
+        expect(roundTrip(packet)).toEqual(packet);
+        expect(guts.encodePacket(Object.assign({port: 0}, guts.decodePacket(encoded))))
+            .toEqual(encoded);
+    });
+
+    it('should set the reserved bits', function() {
+        const encoded = guts.encodePacket({
+            port: 0,
+            type: 'UI',
+            toAddress: 'A1CALL-1',
+            fromAddress: 'B2CALL-15',
+            command: true,
+        });
+        expect(encoded[6]).toEqual(0xE2);
+        expect(encoded[13]).toEqual(0x7F);
+    });
+
+    it('should decode every type of U packet', function() {
+        ['SABME', 'SABM', 'DISC', 'DM', 'UA', 'FRMR', 'UI', 'XID', 'TEST'].forEach(function(type) {
+            expect(roundTrip({
+                port: 0,
+                type: type,
+                toAddress: 'A1CALL',
+                fromAddress: 'B2CALL',
+            }).type).toEqual(type);
+        });
+    });
+
+    it('should use the AX.25 control fields of FRMR and TEST', function() {
+        // Version 1.8.2 decoded 0x87 as an unknown type, and encoded TEST as 0xC3.
+        [['FRMR', 0x87], ['TEST', 0xE3]].forEach(function(pair) {
+            const encoded = guts.encodePacket({
+                port: 0,
+                type: pair[0],
+                toAddress: 'A1CALL',
+                fromAddress: 'B2CALL',
+            });
+            expect(encoded[14]).toEqual(pair[1]);
+            encoded[14] = pair[1] | 0x10; // P/F
+            expect(guts.decodePacket(encoded).type).toEqual(pair[0]);
+        });
+    });
+
+    it('should refuse a strange modulo', function() {
+        expect(function() {
+            guts.encodePacket({
+                port: 0,
+                type: 'RR',
+                modulo: 16,
+                toAddress: 'A1CALL',
+                fromAddress: 'B2CALL',
+            });
+        }).toThrowError(RangeError);
+    });
+
+    it('should encode and decode XID', function() {
+        const xid = {
+            classesOfProcedures: {balancedABM: true, halfDuplex: true, fullDuplex: false},
+            optionalFunctions: {
+                REJ: true, SREJ: true, extendedAddress: true,
+                modulo8: false, modulo128: true, TEST: true, FCS16: true,
+                synchronousTx: true, multiSREJ: false, segmenter: false,
+            },
+            IFieldLengthRx: 256,
+            windowSizeRx: 7,
+            ackTimer: 3000,
+            retries: 10,
+        };
+        const info = guts.encodeXID(xid);
+        expect(guts.hexBuffer(info)).toEqual(
+            '82 80 00 17 02 02 21 00 03 03 86 a8 02 06 02 08 00'
+                + ' 08 01 07 09 02 0b b8 0a 01 0a');
+        const packet = {
+            port: 0,
+            type: 'XID',
+            toAddress: 'A1CALL',
+            fromAddress: 'B2CALL',
+            command: true,
+            P: true,
+            xid: xid,
+        };
+        const decoded = roundTrip(packet);
+        expect(decoded.xid).toEqual(xid);
+        expect(decoded.info).toEqual(info);
+    });
+
+    it('should preserve unknown XID parameters', function() {
+        const info = Buffer.from([0x82, 0x80, 0, 5, 8, 1, 4, 99, 0]);
+        expect(guts.decodeXID(info)).toEqual({
+            windowSizeRx: 4,
+            other: [{PI: 99, PV: Buffer.alloc(0)}],
+        });
+        expect(guts.encodeXID(guts.decodeXID(info))).toEqual(info);
+        expect(guts.decodeXID(Buffer.from([0x82, 0x80, 0, 9]))).toBeUndefined();
+    });
+
+    it('should encode and decode FRMR', function() {
+        [
+            {control: 0x9E, VS: 3, VR: 4, response: true, W: true, X: true},
+            {control: 0x1234, VS: 100, VR: 99, Z: true, modulo: 128},
+        ].forEach(function(frmr) {
+            const packet = {
+                port: 0,
+                type: 'FRMR',
+                toAddress: 'A1CALL',
+                fromAddress: 'B2CALL',
+                response: true,
+                F: true,
+                frmr: frmr,
+            };
+            const decoded = roundTrip(packet);
+            expect(decoded.frmr).toEqual(frmr);
+            expect(decoded.info.length).toEqual(frmr.modulo ? 5 : 3);
+        });
+        expect(guts.hexBuffer(guts.encodeFRMR({control: 0x9E, VS: 3, VR: 4, Y: true})))
+            .toEqual('9e 86 04');
+        expect(guts.describeFRMR(guts.decodeFRMR(Buffer.from([0x9E, 0x96, 0x09]))))
+            .toEqual('invalid control field, invalid N(R)'
+                     + ' (rejected response control 9e, V(S)=3, V(R)=4)');
+    });
+
+    it('should decode monitor frames', function() {
+        const now = new Date(2024, 4, 3, 13, 50, 0);
+        expect(guts.decodeMonitorFrame({
+            dataKind: 'U',
+            port: 1,
+            data: Buffer.from(' 2:Fm N0CALL-9 To APRS Via WIDE1*,WIDE2-1'
+                              + ' <UI pid=F0 Len=7 >[13:45:07]\rhello\r\r\r', 'binary'),
+        }, now)).toEqual({
+            port: 1,
+            direction: 'rx',
+            fromAddress: 'N0CALL-9',
+            toAddress: 'APRS',
+            via: ['WIDE1*', 'WIDE2-1'],
+            type: 'UI',
+            timestamp: new Date(2024, 4, 3, 13, 45, 7),
+            info: Buffer.from('hello\r\r'),
+        });
+        expect(guts.decodeMonitorFrame({
+            dataKind: 'T',
+            port: 0,
+            data: Buffer.from(' 1:Fm A1CALL To B2CALL <RR F R5 >[23:59:59]\r'),
+        }, now)).toEqual({
+            port: 0,
+            direction: 'tx',
+            fromAddress: 'A1CALL',
+            toAddress: 'B2CALL',
+            via: [],
+            type: 'RR',
+            F: true,
+            NR: 5,
+            timestamp: new Date(2024, 4, 2, 23, 59, 59), // yesterday
+        });
+        expect(guts.decodeMonitorFrame({dataKind: 'S', data: Buffer.from('garbage')})).toBeNull();
+    });
+
+    it('should decode a monitor frame like a raw packet', function() {
+        const raw = guts.decodePacket(guts.encodePacket({
+            port: 0,
+            type: 'UI',
+            toAddress: 'APRS',
+            fromAddress: 'N0CALL-9',
+            via: ['WIDE1*', 'WIDE2-1'],
+            info: Buffer.from('hello'),
+        }));
+        delete raw.command; // A monitor frame doesn't show it.
+        const monitored = guts.decodeMonitorFrame({
+            dataKind: 'U',
+            port: 0,
+            data: Buffer.from(' 1:Fm N0CALL-9 To APRS Via WIDE1*,WIDE2-1'
+                              + ' <UI pid=F0 Len=5 >[13:45:07]\rhello\r', 'binary'),
+        });
+        expect(monitored).toEqual(jasmine.objectContaining(raw));
+        expect(Object.keys(monitored).sort()).toEqual(
+            Object.keys(raw).concat(['port', 'direction', 'timestamp']).sort());
+    });
+
+    it('should decode and reverse a connected path', function() {
+        expect(guts.decodeConnectedPath(Buffer.from(
+            '*** CONNECTED With Station A1CALL via DIGI1,DIGI2-3\r'))).toEqual(['DIGI1', 'DIGI2-3']);
+        expect(guts.decodeConnectedPath(Buffer.from(
+            '*** CONNECTED With A1CALL VIA DIGI1 DIGI2\r'))).toEqual(['DIGI1', 'DIGI2']);
+        expect(guts.decodeConnectedPath(Buffer.from('*** CONNECTED To Station B2CALL\r'))).toEqual([]);
+        expect(guts.reversePath(['DIGI1*', 'DIGI2-3*', 'WIDE2-1'])).toEqual(['WIDE2-1', 'DIGI2-3', 'DIGI1']);
+        expect(guts.reversePath('DIGI1,DIGI2')).toEqual(['DIGI2', 'DIGI1']);
+        expect(guts.reversePath(null)).toEqual([]);
+    });
+
+    it('should decode a disconnect reason', function() {
+        expect(guts.decodeDisconnectReason(Buffer.from(
+            '*** DISCONNECTED RETRYOUT With B2CALL\r'))).toEqual('retryout');
+        expect(guts.decodeDisconnectReason(Buffer.from('*** B2CALL Busy\r'))).toEqual('busy');
+        expect(guts.decodeDisconnectReason(Buffer.from(
+            '*** DISCONNECTED TIMEOUT With B2CALL\r'))).toEqual('timeout');
+        expect(guts.decodeDisconnectReason(Buffer.from(
+            '*** DISCONNECTED From Station B2CALL\r'))).toBeNull();
+        expect(guts.decodeDisconnectReason(null)).toBeNull();
+    });
+
+}); // Packet
@@ -0,0 +1,38 @@
+const guts = require('../../guts.js');
+const describeWithSimulator = require('../mockNet/withSimulator.js').describeWithSimulator;
+
+describeWithSimulator('Connection path', {loopback: [[0, 1]]}, function(fixture) {
+
+    it('should report the path of a connection', function(done) {
+        var closed = 0;
+        const serverB = fixture.newServer();
+        serverB.on('connection', function(connection) {
+            expect(connection.via).toEqual(['DIGI1', 'DIGI2']);
+            expect(connection.address()).toEqual({port: 1, address: 'B2CALL'});
+            expect(connection.remoteInfo()).toEqual({port: 1, address: 'A1CALL', via: ['DIGI1', 'DIGI2']});
+            expect(guts.reversePath(connection.via)).toEqual(['DIGI2', 'DIGI1']);
+            connection.on('close', function() {
+                if (++closed == 2) done();
+            });
+            connection.end();
+        });
+        serverB.listen({host: 'B2CALL', port: 1}, function() {
+            const serverA = fixture.newServer();
+            serverA.listen({host: 'A1CALL', port: 0}, function() {
+                const connection = serverA.createConnection({
+                    localAddress: 'A1CALL',
+                    remoteAddress: 'B2CALL',
+                    via: 'DIGI1,DIGI2',
+                }, function connected() {
+                    expect(connection.remoteInfo()).toEqual({
+                        port: 0, address: 'B2CALL', via: ['DIGI1', 'DIGI2'],
+                    });
+                });
+                connection.on('close', function() {
+                    if (++closed == 2) done();
+                });
+            });
+        });
+    });
+
+}); // Connection path
@@ -0,0 +1,59 @@
+const Client = require('../../client.js');
+const describeWithSimulator = require('../mockNet/withSimulator.js').describeWithSimulator;
+
+describeWithSimulator('Promises', {loopback: [[0, 1]]}, function(fixture) {
+
+    it('should listen, connect and close with promises', async function() {
+        const server = fixture.newServer();
+        expect(await server.listenAsync({host: 'B2CALL', port: 1}))
+            .toEqual({host: 'B2CALL', port: 1});
+        const connection = await Client.connect({
+            host: '127.0.0.1',
+            port: fixture.simulator.address().port,
+            localAddress: 'A1CALL',
+            remoteAddress: 'B2CALL',
+        });
+        expect(connection.remoteAddress).toEqual('B2CALL');
+        for await (const incoming of server) {
+            expect(incoming.remoteAddress).toEqual('A1CALL');
+            break;
+        }
+        connection.end();
+        await server.closeAsync();
+        await expectAsync(server.closeAsync())
+            .toBeRejectedWith(jasmine.objectContaining({code: 'ERR_SERVER_NOT_RUNNING'}));
+    });
+
+    it('should reject promises with coded errors', async function() {
+        await fixture.newServer().listenAsync({host: 'B2CALL', port: 1});
+        await expectAsync(fixture.newServer().listenAsync({host: 'B2CALL', port: 1}))
+            .toBeRejectedWith(jasmine.objectContaining({code: 'EACCES'}));
+        fixture.simulator.retries = 1;
+        fixture.simulator.retryTime = 50;
+        await expectAsync(Client.connect({
+            host: '127.0.0.1',
+            port: fixture.simulator.address().port,
+            localAddress: 'A1CALL',
+            remoteAddress: 'C3CALL',
+        })).toBeRejectedWith(jasmine.objectContaining({code: 'EHOSTUNREACH', reason: 'retryout'}));
+    });
+
+    it('should iterate over packets', async function() {
+        const receiver = await fixture.newServer().createSocket().bindAsync();
+        const sender = await fixture.newServer().createSocket().bindAsync();
+        sender.write({
+            port: 0,
+            type: 'UI',
+            toAddress: 'ID',
+            fromAddress: 'A1CALL',
+            info: Buffer.from('hello'),
+        });
+        for await (const packet of receiver) {
+            if (packet.port == 1) { // via loopback
+                expect(packet.info.toString()).toEqual('hello');
+                break;
+            }
+        }
+    });
+
+}); // Promises
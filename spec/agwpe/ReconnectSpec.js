@@ -0,0 +1,150 @@
+const AGWPE = require('../../server.js');
+const Net = require('net');
+const Simulator = require('../../simulator.js').Simulator;
+
+describe('Server reconnect', function() {
+
+    var simulator, servers;
+
+    beforeEach(function(done) {
+        servers = [];
+        simulator = new Simulator();
+        simulator.listen({host: '127.0.0.1', port: 0}, done);
+    });
+
+    afterEach(function(done) {
+        servers.forEach(function(server) {
+            if (server.listening) server.close({force: true});
+        });
+        simulator.close(function() {done();});
+    });
+
+    function newServer(options) {
+        const server = new AGWPE.Server(Object.assign({
+            host: '127.0.0.1',
+            port: simulator.address().port,
+        }, options));
+        servers.push(server);
+        return server;
+    }
+
+    it('should restore the session after the TNC restarts', function(done) {
+        const address = simulator.address();
+        const delays = [];
+        const server = newServer({reconnect: {minDelay: 10, maxDelay: 40}});
+        server.on('reconnecting', function(delay) {
+            delays.push(delay);
+            if (delays.length == 3) {
+                // Restart the TNC:
+                simulator = new Simulator();
+                simulator.listen(address);
+            }
+        });
+        server.on('reconnected', function() {
+            expect(delays).toEqual([10, 20, 40]);
+            const caller = newServer();
+            caller.listen({host: 'B2CALL', port: 0}, function() {
+                caller.createConnection({
+                    localAddress: 'B2CALL',
+                    remoteAddress: 'A1CALL',
+                }, function connected() {});
+            });
+        });
+        server.on('connection', function(connection) {
+            expect(connection.remoteAddress).toEqual('B2CALL');
+            expect(packets.map(function(p) {return p.type;})).toContain('SABM');
+            expect(socket.destroyed).toBeFalsy();
+            done();
+        });
+        const packets = [];
+        const socket = server.createSocket();
+        socket.on('data', function(packet) {
+            packets.push(packet);
+        });
+        server.listen({host: 'A1CALL', port: 0}, function() {
+            socket.bind(function() {
+                simulator.close();
+            });
+        });
+    });
+
+    it('should register calls again only on the ports it listens on', function(done) {
+        const address = simulator.address();
+        expect(simulator.ports.length).toEqual(2);
+        const registrations = [];
+        const server = newServer({reconnect: {minDelay: 10, maxDelay: 10}});
+        server.on('reconnecting', function() {
+            if (!simulator.netServer.listening) {
+                // Restart the TNC:
+                simulator = new Simulator();
+                simulator.onFrameFromClient = function(client, frame) {
+                    if (frame.dataKind == 'X' || frame.dataKind == 'x') {
+                        registrations.push(`${frame.dataKind} ${frame.port} ${frame.callFrom}`);
+                    }
+                    Simulator.prototype.onFrameFromClient.call(this, client, frame);
+                };
+                simulator.onClientClosed = function(client) {
+                    expect(registrations).toEqual(['X 0 B2CALL', 'x 0 B2CALL']);
+                    Simulator.prototype.onClientClosed.call(this, client);
+                    done();
+                };
+                simulator.listen(address);
+            }
+        });
+        server.on('reconnected', function() {
+            server.getTNCVersion(function(err) { // after the TNC handles the registrations
+                expect(err).toBeFalsy();
+                expect(registrations).toEqual(['X 0 B2CALL']);
+                server.close();
+            });
+        });
+        server.listenAsync({host: 'B2CALL', port: 0}).then(function() {
+            expect(Object.keys(simulator.registered)).toEqual(['0 B2CALL']);
+            simulator.close();
+        });
+    });
+
+    it('should not reconnect after closing', function(done) {
+        const server = newServer({reconnect: true});
+        server.on('reconnecting', fail);
+        server.listen({host: 'A1CALL', port: 0}, function() {
+            server.close();
+            setTimeout(done, 50);
+        });
+    });
+
+    it('should discard part of a frame when the TNC disconnects', function(done) {
+        const version = Buffer.alloc(36 + 8); // an 'R' frame
+        version[4] = 'R'.charCodeAt(0);
+        version.writeUInt32LE(8, 28); // data length
+        version.writeUInt16LE(2005, 36);
+        version.writeUInt16LE(127, 40);
+        var connections = 0;
+        const tnc = Net.createServer(function(socket) {
+            socket.resume(); // Ignore the frames from the server.
+            if (++connections == 1) {
+                socket.end(version.subarray(0, 20)); // Disconnect in the middle of a frame.
+            } else {
+                socket.write(version);
+            }
+        });
+        tnc.listen({host: '127.0.0.1', port: 0}, function() {
+            const server = new AGWPE.Server({
+                host: '127.0.0.1',
+                port: tnc.address().port,
+                reconnect: {minDelay: 10, maxDelay: 10},
+            });
+            server.on('reconnected', function() {
+                server.getTNCVersion(function(err, info) {
+                    expect(err).toBeFalsy();
+                    expect(info).toEqual({major: 2005, minor: 127});
+                    expect(connections).toEqual(2);
+                    server.close({force: true});
+                    tnc.close(function() {done();});
+                });
+            });
+            server.listen({host: 'A1CALL', port: 0});
+        });
+    });
+
+}); // Server reconnect
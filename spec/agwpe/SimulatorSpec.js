@@ -0,0 +1,135 @@
+const guts = require('../../guts.js');
+const Simulated = require('../mockNet/withSimulator.js');
+const Simulator = require('../../simulator.js');
+
+const describeWithSimulator = Simulated.describeWithSimulator;
+const newClient = Simulated.newClient;
+
+describeWithSimulator('Simulator', {loopback: [[0, 1]]}, function(fixture) {
+
+    it('should answer queries', function(done) {
+        const frames = [];
+        const client = newClient(fixture.simulator.address(), function(frame) {
+            frames.push(frame);
+            if (frames.length == 5) {
+                expect(frames.map(function(f) {return f.dataKind;}))
+                    .toEqual(['G', 'R', 'X', 'X', 'g']);
+                expect(frames[0].data.toString()).toEqual('2;Port1 simulated;Port2 simulated;');
+                expect(frames[1].data.readUInt16LE(0)).toEqual(2005);
+                expect(frames[2].data[0]).toEqual(1);
+                expect(frames[3].data[0]).toEqual(0); // no port 2
+                expect(frames[4].data.length).toEqual(12);
+                client.socket.destroy();
+                done();
+            }
+        });
+        ['G', 'R'].forEach(function(dataKind) {
+            client.sender.write({dataKind: dataKind});
+        });
+        client.sender.write({dataKind: 'X', port: 1, callFrom: 'N0CALL'});
+        client.sender.write({dataKind: 'X', port: 2, callFrom: 'N0CALL'});
+        client.sender.write({dataKind: 'g', port: 1});
+    });
+
+    it('should connect stations', function(done) {
+        const serverB = fixture.newServer();
+        serverB.on('connection', function(connection) {
+            expect(connection.remoteAddress).toEqual('A1CALL');
+            connection.on('data', function(data) {
+                expect(data.toString()).toEqual('hello');
+                connection.end();
+            });
+        });
+        serverB.listen({host: 'B2CALL', port: 1}, function() {
+            const serverA = fixture.newServer();
+            serverA.listen({host: 'A1CALL', port: 0}, function() {
+                const connection = serverA.createConnection({
+                    localPort: 0,
+                    localAddress: 'A1CALL',
+                    remoteAddress: 'B2CALL',
+                }, function connected(data) {
+                    expect(data.toString()).toEqual('*** CONNECTED To Station B2CALL\r');
+                    connection.write('hello');
+                });
+                connection.on('close', function() {
+                    done();
+                });
+            });
+        });
+    });
+
+    it('should time out a connection to nobody', function(done) {
+        fixture.simulator.retries = 1;
+        fixture.simulator.retryTime = 50;
+        const server = fixture.newServer();
+        server.listen({host: 'A1CALL', port: 0}, function() {
+            const connection = server.createConnection({
+                localAddress: 'A1CALL',
+                remoteAddress: 'B2CALL',
+            }, fail);
+            connection.on('end', function(data) {
+                expect(data.toString()).toEqual('*** DISCONNECTED RETRYOUT With B2CALL\r');
+                done();
+            });
+        });
+    });
+
+    it('should loop back UNPROTO packets', function(done) {
+        const frames = [];
+        const listener = newClient(fixture.simulator.address(), function(frame) {
+            if (frame.dataKind == 'G') {
+                // The fixture.simulator has enabled raw and monitor frames.
+                transmit();
+                return;
+            }
+            // The listener receives the packet via port 0, and via port 1 (loopback).
+            if (frame.port == 1) frames.push(frame);
+            if (frames.length == 2) {
+                expect(frames[0]).toEqual(jasmine.objectContaining({dataKind: 'K', port: 1}));
+                const packet = guts.decodePacket(frames[0].data.slice(1));
+                expect(packet.info.toString()).toEqual('hello');
+                expect(frames[1]).toEqual(jasmine.objectContaining({dataKind: 'U', port: 1}));
+                expect(frames[1].data.toString()).toMatch(
+                    /^ 2:Fm A1CALL To ID <UI pid=F0 Len=5 >\[\d\d:\d\d:\d\d\]\rhello\r$/);
+                listener.socket.destroy();
+                done();
+            }
+        });
+        listener.sender.write({dataKind: 'k'});
+        listener.sender.write({dataKind: 'm'});
+        listener.sender.write({dataKind: 'G'});
+        function transmit() {
+            const server = fixture.newServer();
+            const socket = server.createSocket();
+            socket.bind(function() {
+                socket.write({
+                    port: 0,
+                    type: 'UI',
+                    toAddress: 'ID',
+                    fromAddress: 'A1CALL',
+                    info: Buffer.from('hello'),
+                });
+            });
+        }
+    });
+
+    it('should lose packets', function() {
+        fixture.simulator.loss = 0.5;
+        var r = 0;
+        fixture.simulator.random = function() {return [0.1, 0.9, 0.2, 0.3][r++ % 4];};
+        fixture.simulator.retries = 1;
+        fixture.simulator.retryTime = 1000;
+        expect(fixture.simulator.getDelay()).toEqual(1000);
+        expect(fixture.simulator.getDelay()).toEqual(null);
+    });
+
+    it('should format monitor frames', function() {
+        const text = Simulator.formatMonitorText(0, {
+            type: 'I', NS: 3, NR: 5, P: true,
+            toAddress: 'B2CALL', fromAddress: 'A1CALL', via: ['DIGI*'],
+            info: Buffer.from('hi'),
+        }, new Date(2020, 1, 1, 13, 4, 5)).toString();
+        expect(text).toEqual(' 1:Fm A1CALL To B2CALL Via DIGI* <I P R5 S3 pid=F0 Len=2 >[13:04:05]\rhi\r');
+    });
+
+}); // Simulator
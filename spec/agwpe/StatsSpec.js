@@ -0,0 +1,39 @@
+const describeWithSimulator = require('../mockNet/withSimulator.js').describeWithSimulator;
+
+describeWithSimulator('Server stats', {loopback: [[0, 1]]}, function(fixture) {
+
+    it('should count traffic', function(done) {
+        const serverB = fixture.newServer();
+        serverB.on('connection', function(connection) {
+            connection.on('data', function(data) {
+                expect(connection.getStats()).toEqual(jasmine.objectContaining({
+                    bytesRead: 5, framesRead: 1, bytesWritten: 0,
+                }));
+                expect(serverB.getStats(1)).toEqual(jasmine.objectContaining({
+                    bytesRead: 5, connections: 1, totalConnections: 1,
+                }));
+                connection.end();
+            });
+        });
+        serverB.listen({host: 'B2CALL', port: 1}, function() {
+            const serverA = fixture.newServer();
+            serverA.listen({host: 'A1CALL', port: 0}, function() {
+                const connection = serverA.createConnection({
+                    localAddress: 'A1CALL',
+                    remoteAddress: 'B2CALL',
+                    noDelay: true,
+                }, function connected(data) {
+                    connection.write('hello');
+                });
+                connection.on('close', function() {
+                    expect(connection.bytesWritten).toEqual(5);
+                    expect(serverA.getStats()).toEqual({0: jasmine.objectContaining({
+                        bytesWritten: 5, framesWritten: 1, connections: 0, totalConnections: 1,
+                    })});
+                    done();
+                });
+            });
+        });
+    });
+
+}); // Server stats
@@ -0,0 +1,55 @@
+const describeWithSimulator = require('../mockNet/withSimulator.js').describeWithSimulator;
+
+describeWithSimulator('Server TNC information', {loopback: [[0, 1]]}, function(fixture) {
+
+    it('should report port information and version', function(done) {
+        const server = fixture.newServer();
+        expect(server.getTNCVersion()).toBeUndefined();
+        server.getTNCVersion(function(err, version) {
+            expect(err).toBeFalsy();
+            expect(version).toEqual({major: 2005, minor: 127});
+            expect(server.getTNCVersion()).toEqual(version);
+            server.getPortInfo(1, function(err, info) {
+                expect(err).toBeFalsy();
+                expect(info).toEqual({
+                    port: 1,
+                    description: 'Port2 simulated',
+                    baudRate: 1200,
+                    trafficLevel: 0,
+                    txDelay: 30,
+                    txTail: 10,
+                    persistence: 63,
+                    slotTime: 10,
+                    maxFrame: 7,
+                    connections: 0,
+                    bytesReceived: 0,
+                });
+                expect(server.getPortInfo(1)).toEqual(info);
+                server.getPortInfo(2, function(err, info) {
+                    expect(err.code).toEqual('ENOENT');
+                    done();
+                });
+            });
+        });
+    });
+
+    it('should time out a query', function(done) {
+        const onFrameFromClient = fixture.simulator.onFrameFromClient;
+        fixture.simulator.onFrameFromClient = function(client, frame) {
+            if (frame.dataKind == 'R') { // Answer with a frame that's too short.
+                client.send({dataKind: 'R', data: Buffer.alloc(2)});
+            } else {
+                onFrameFromClient.call(fixture.simulator, client, frame);
+            }
+        };
+        const server = fixture.newServer({queryTimeout: 50});
+        server.on('error', fail);
+        server.getTNCVersion(function(err, version) {
+            expect(err.code).toEqual('ETIMEDOUT');
+            expect(version).toBeUndefined();
+            expect(server.infoCallbacks).toEqual({});
+            done();
+        });
+    });
+
+}); // Server TNC information
@@ -0,0 +1,40 @@
+const describeWithSimulator = require('../mockNet/withSimulator.js').describeWithSimulator;
+
+describeWithSimulator('Server.sendUnproto', {loopback: [[0, 1]]}, function(fixture) {
+
+    it('should send UNPROTO data', function(done) {
+        const listener = fixture.newServer();
+        const socket = listener.createSocket();
+        socket.on('data', function(packet) {
+            if (packet.port == 1) {
+                expect(packet).toEqual(jasmine.objectContaining({
+                    type: 'UI',
+                    fromAddress: 'A1CALL',
+                    toAddress: 'BEACON',
+                    via: ['WIDE2-1'],
+                    PID: 0xCF,
+                    info: Buffer.from('hello'),
+                }));
+                expect(fixture.simulator.registered['0 A1CALL']).toBeTruthy();
+                done();
+            }
+        });
+        socket.bind(function() {
+            const sender = fixture.newServer();
+            sender.sendUnproto({
+                port: 0,
+                from: 'A1CALL',
+                to: 'BEACON',
+                via: 'WIDE2-1',
+                PID: 0xCF,
+                data: 'hello',
+            }, function(err) {
+                expect(err).toBeFalsy();
+            });
+            expect(function() {
+                sender.sendUnproto({from: 'A1CALL', to: 'BEACON', via: 'TOOLONGCALL'});
+            }).toThrow();
+        });
+    });
+
+}); // Server.sendUnproto
@@ -0,0 +1,46 @@
+/** Stand-ins for a Server and the RawSockets it creates,
+    for testing modules that use them (e.g. Digipeater, APRSMessenger, BeaconScheduler).
+*/
+const EventEmitter = require('events');
+
+class mockRawSocket extends EventEmitter {
+    constructor(server) {
+        super();
+        this.server = server;
+        this.written = []; // packets
+    }
+    bind(callback) {
+        this.isBound = true;
+        this.emit('listening');
+        if (callback) callback();
+    }
+    write(packet, callback) {
+        this.written.push(packet);
+        this.server.sent.push(`${Date.now()} raw ${packet.info}`);
+        if (callback) callback();
+    }
+    destroy() {
+    }
+}
+
+class mockServer {
+    constructor() {
+        this.options = {};
+        this.sent = []; // descriptions of packets, with the time they were sent
+        this.framesInFlight = 0;
+    }
+    createSocket(options) {
+        this.socket = new mockRawSocket(this);
+        return this.socket;
+    }
+    getFramesInFlight(port, callback) {
+        callback(null, this.framesInFlight);
+    }
+    sendUnproto(options, callback) {
+        this.sent.push(`${Date.now()} ${options.from}>${options.to} ${options.data}`);
+        callback();
+    }
+}
+
+exports.mockRawSocket = mockRawSocket;
+exports.mockServer = mockServer;
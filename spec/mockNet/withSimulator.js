@@ -0,0 +1,57 @@
+/** Run specs against a Simulator, via TCP. */
+const AGWPE = require('../../server.js');
+const guts = require('../../guts.js');
+const Net = require('net');
+const Simulator = require('../../simulator.js');
+
+/** Exchange AGWPE frames with the simulator, directly. */
+function newClient(address, onFrame) {
+    const socket = Net.createConnection(address);
+    const receiver = new guts.Receiver();
+    const sender = new guts.Sender();
+    receiver.client = {onFrameFromAGW: onFrame};
+    socket.pipe(receiver);
+    sender.pipe(socket);
+    return {socket: socket, sender: sender};
+}
+
+/** Like describe, but start a new Simulator before each spec and stop it after.
+    The specs function receives a fixture, with fixture.simulator and
+    fixture.newServer(options), which creates a Server connected to the simulator.
+    Those Servers are closed forcibly after each spec.
+*/
+function describeWithSimulator(description, simulatorOptions, specs) {
+    describe(description, function() {
+
+        const fixture = {};
+
+        beforeEach(function(done) {
+            fixture.servers = [];
+            fixture.simulator = new Simulator.Simulator(simulatorOptions);
+            fixture.simulator.listen({host: '127.0.0.1', port: 0}, done);
+        });
+
+        afterEach(function(done) {
+            fixture.servers.forEach(function(server) {
+                if (server.listening) {
+                    server.close({force: true});
+                } else if (server.netSocket) {
+                    server.netSocket.destroy();
+                }
+            });
+            fixture.simulator.close(function() {done();});
+        });
+
+        fixture.newServer = function(options) {
+            const server = new AGWPE.Server(Object.assign(
+                {host: '127.0.0.1', port: fixture.simulator.address().port}, options));
+            fixture.servers.push(server);
+            return server;
+        };
+
+        specs(fixture);
+    });
+}
+
+exports.describeWithSimulator = describeWithSimulator;
+exports.newClient = newClient;